@@ -3,9 +3,22 @@
 // State management
 const state = {
   activeTab: 'calculator',
+  scenarioTab: 'calculator',
   loanType: 'conventional',
+  rateType: 'fixed',
+  scheduleType: 'conventional',
   amortizationData: [],
-  currentResults: null
+  extraPaymentSchedule: [],
+  extraPaymentMode: 'reduceTenure',
+  flexiSchedule: [],
+  holidaySchedule: [],
+  cashToCloseBasis: null,
+  currentResults: null,
+  bankComparison: {
+    rows: [],
+    sortKey: 'monthlyPayment',
+    sortDir: 'asc'
+  }
 };
 
 // Initialize app
@@ -19,6 +32,18 @@ function initializeApp() {
   setupForms();
   populateBankDropdowns();
   setDefaultValues();
+  updateTenureLimits();
+  updateGoalSeekFields();
+  displaySavedScenarios();
+
+  // Restore a shared scenario from the URL, if any
+  const scenario = parseScenarioQuery(window.location.search);
+  if (scenario) {
+    applyScenario(scenario);
+    showTab(scenario.tab);
+    runScenarioCalculation(scenario.tab);
+    return;
+  }
 
   // Show first tab
   showTab('calculator');
@@ -30,6 +55,7 @@ function setupNavigation() {
     btn.addEventListener('click', () => {
       const tab = btn.dataset.tab;
       showTab(tab);
+      updateScenarioURL();
     });
   });
 }
@@ -46,6 +72,8 @@ function showTab(tabId) {
   });
 
   state.activeTab = tabId;
+  // Tabs outside SCENARIO_TABS (e.g. Saved Scenarios) keep the last calculator tab
+  if (SCENARIO_TABS[tabId]) state.scenarioTab = tabId;
 }
 
 // Form setup
@@ -68,17 +96,110 @@ function setupForms() {
     });
   });
 
+  const islamicType = document.getElementById('islamicType');
+  if (islamicType) {
+    islamicType.addEventListener('change', updateIslamicOptions);
+  }
+
+  const insuranceType = document.getElementById('insuranceType');
+  if (insuranceType) {
+    insuranceType.addEventListener('change', updateInsuranceOptions);
+  }
+
+  const disbursementMode = document.getElementById('disbursementMode');
+  if (disbursementMode) {
+    disbursementMode.addEventListener('change', updateDisbursementOptions);
+  }
+
+  const propertyUse = document.getElementById('propertyUse');
+  if (propertyUse) {
+    propertyUse.addEventListener('change', updateInvestmentOptions);
+  }
+
   // Bank selection
   const bankSelect = document.getElementById('bankSelect');
   if (bankSelect) {
     bankSelect.addEventListener('change', (e) => {
       if (e.target.value !== 'custom') {
-        const rate = e.target.options[e.target.selectedIndex].dataset.rate;
-        document.getElementById('interestRate').value = rate;
+        const option = e.target.options[e.target.selectedIndex];
+        document.getElementById('interestRate').value = option.dataset.rate;
+        syncSpreadFromRate();
+        setRateTiers(JSON.parse(option.dataset.tiers || '[]'));
       }
     });
   }
 
+  // Tenure limit hints
+  ['borrowerAge', 'employmentType', 'bankSelect', 'borrowersList'].forEach(id => {
+    const field = document.getElementById(id);
+    if (field) field.addEventListener('change', updateTenureLimits);
+  });
+  ['borrowerAge', 'borrowersList'].forEach(id => {
+    const field = document.getElementById(id);
+    if (field) field.addEventListener('input', updateTenureLimits);
+  });
+
+  // Margin of finance caps
+  ['stampExistingLoans', 'goalExistingLoans'].forEach(id => {
+    const field = document.getElementById(id);
+    if (field) field.addEventListener('change', updateAllMarginOptions);
+  });
+
+  // Joint borrowers
+  const addBorrowerBtn = document.getElementById('addBorrower');
+  if (addBorrowerBtn) {
+    addBorrowerBtn.addEventListener('click', () => {
+      addBorrowerRow();
+      updateTenureLimits();
+    });
+  }
+
+  // Rate type toggle
+  document.querySelectorAll('input[name="rateType"]').forEach(radio => {
+    radio.addEventListener('change', (e) => {
+      state.rateType = e.target.value;
+      updateRateTypeOptions();
+      syncSpreadFromRate();
+    });
+  });
+
+  // Floating rate: effective rate = SBR + spread
+  ['baseRate', 'rateSpread'].forEach(id => {
+    const input = document.getElementById(id);
+    if (input) {
+      input.addEventListener('input', syncRateFromSpread);
+    }
+  });
+
+  const addRateChangeBtn = document.getElementById('addRateChange');
+  if (addRateChangeBtn) {
+    addRateChangeBtn.addEventListener('click', () => addRateChangeRow());
+  }
+
+  const addPrepaymentRuleBtn = document.getElementById('addPrepaymentRule');
+  if (addPrepaymentRuleBtn) {
+    addPrepaymentRuleBtn.addEventListener('click', () => addPrepaymentRuleRow());
+  }
+
+  const addRateTierBtn = document.getElementById('addRateTier');
+  if (addRateTierBtn) {
+    addRateTierBtn.addEventListener('click', () => addRateTierRow());
+  }
+
+  // Bank comparison form
+  const compareForm = document.getElementById('compareBanksForm');
+  if (compareForm) {
+    compareForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      calculateBankComparison();
+    });
+  }
+
+  const compareLoanType = document.getElementById('compareLoanType');
+  if (compareLoanType) {
+    compareLoanType.addEventListener('change', renderCompareBankList);
+  }
+
   // Extra payments form
   const extraForm = document.getElementById('extraPaymentForm');
   if (extraForm) {
@@ -88,6 +209,40 @@ function setupForms() {
     });
   }
 
+  // Flexi loan form
+  const flexiForm = document.getElementById('flexiLoanForm');
+  if (flexiForm) {
+    flexiForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      simulateFlexiLoan();
+    });
+  }
+
+  const addFlexiPlanBtn = document.getElementById('addFlexiPlanEntry');
+  if (addFlexiPlanBtn) {
+    addFlexiPlanBtn.addEventListener('click', () => addFlexiPlanRow());
+  }
+
+  // Typical fees for the facility chosen
+  const flexiType = document.getElementById('flexiType');
+  if (flexiType) {
+    flexiType.addEventListener('change', applyFlexiTypeFees);
+  }
+
+  // Payment holiday form
+  const holidayForm = document.getElementById('paymentHolidayForm');
+  if (holidayForm) {
+    holidayForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      calculatePaymentHoliday();
+    });
+  }
+
+  const addDisruptionBtn = document.getElementById('addDisruption');
+  if (addDisruptionBtn) {
+    addDisruptionBtn.addEventListener('click', () => addDisruptionRow());
+  }
+
   // Refinancing form
   const refiForm = document.getElementById('refinancingForm');
   if (refiForm) {
@@ -106,6 +261,20 @@ function setupForms() {
     });
   }
 
+  // Budget solver form
+  const goalForm = document.getElementById('goalSeekForm');
+  if (goalForm) {
+    goalForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      calculateGoalSeek();
+    });
+  }
+
+  const solveFor = document.getElementById('solveFor');
+  if (solveFor) {
+    solveFor.addEventListener('change', updateGoalSeekFields);
+  }
+
   // Stamp duty form
   const stampForm = document.getElementById('stampDutyForm');
   if (stampForm) {
@@ -115,6 +284,49 @@ function setupForms() {
     });
   }
 
+  // Rent vs buy form
+  const rentBuyForm = document.getElementById('rentBuyForm');
+  if (rentBuyForm) {
+    rentBuyForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      compareRentVsBuy();
+    });
+  }
+
+  const addCashItemBtn = document.getElementById('addCashItem');
+  if (addCashItemBtn) {
+    addCashItemBtn.addEventListener('click', () => addCashToCloseRow());
+  }
+
+  const resetCashItemsBtn = document.getElementById('resetCashItems');
+  if (resetCashItemsBtn) {
+    resetCashItemsBtn.addEventListener('click', resetCashToCloseItems);
+  }
+
+  // Keep the URL in sync with the last calculated scenario
+  document.querySelectorAll('form').forEach(form => {
+    form.addEventListener('submit', updateScenarioURL);
+  });
+
+  const shareBtn = document.getElementById('shareScenario');
+  if (shareBtn) {
+    shareBtn.addEventListener('click', copyScenarioLink);
+  }
+
+  // Saved scenarios
+  const saveForm = document.getElementById('saveScenarioForm');
+  if (saveForm) {
+    saveForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      saveCurrentScenario();
+    });
+  }
+
+  const compareScenariosBtn = document.getElementById('compareScenarios');
+  if (compareScenariosBtn) {
+    compareScenariosBtn.addEventListener('click', compareSavedScenarios);
+  }
+
   // Number input formatting
   document.querySelectorAll('input[type="number"]').forEach(input => {
     input.addEventListener('blur', () => {
@@ -127,6 +339,8 @@ function setupForms() {
 
 // Populate bank dropdowns
 function populateBankDropdowns() {
+  renderCompareBankList();
+
   const bankSelect = document.getElementById('bankSelect');
   if (!bankSelect) return;
 
@@ -144,7 +358,7 @@ function updateBankOptions() {
   bankSelect.innerHTML = `
     <option value="custom">-- Custom Rate --</option>
     ${banks.map(bank => `
-      <option value="${bank.name}" data-rate="${bank.rate}">
+      <option value="${bank.name}" data-rate="${bank.rate}" data-tiers='${JSON.stringify(bank.tiers || [])}'>
         ${bank.name} (${bank.rate}% p.a.)
       </option>
     `).join('')}
@@ -156,294 +370,2752 @@ function updateIslamicOptions() {
   if (islamicOptions) {
     islamicOptions.style.display = state.loanType === 'islamic' ? 'block' : 'none';
   }
-}
 
-// Set default values
-function setDefaultValues() {
-  const defaults = {
-    loanAmount: 500000,
-    interestRate: 4.10,
-    tenure: 30,
-    monthlyIncome: 8000,
-    existingCommitments: 500,
-    propertyPrice: 600000,
-    downPaymentPercent: 10
-  };
+  const murabahahOptions = document.getElementById('murabahahOptions');
+  if (murabahahOptions) {
+    const islamicType = document.getElementById('islamicType')?.value;
+    murabahahOptions.style.display = islamicType === 'murabahah' ? 'grid' : 'none';
+  }
 
-  Object.entries(defaults).forEach(([id, value]) => {
-    const input = document.getElementById(id);
-    if (input) input.value = value;
-  });
+  const ijarahOptions = document.getElementById('ijarahOptions');
+  if (ijarahOptions) {
+    const islamicType = document.getElementById('islamicType')?.value;
+    ijarahOptions.style.display = islamicType === 'ijarah' ? 'grid' : 'none';
+  }
 }
 
-// Main mortgage calculation
-function calculateMortgage() {
-  const loanAmount = parseFloat(document.getElementById('loanAmount').value);
-  const interestRate = parseFloat(document.getElementById('interestRate').value);
-  const tenure = parseInt(document.getElementById('tenure').value);
-
-  if (!loanAmount || !interestRate || !tenure) {
-    showError('Please fill in all required fields');
-    return;
+function updateInsuranceOptions() {
+  const insuranceOptions = document.getElementById('insuranceOptions');
+  if (insuranceOptions) {
+    const insuranceType = document.getElementById('insuranceType')?.value;
+    insuranceOptions.style.display = insuranceType && insuranceType !== 'none' ? 'grid' : 'none';
   }
+}
 
-  let results;
+function updateDisbursementOptions() {
+  const progressiveOptions = document.getElementById('progressiveOptions');
+  if (progressiveOptions) {
+    const mode = document.getElementById('disbursementMode')?.value;
+    progressiveOptions.style.display = mode === 'progressive' ? 'block' : 'none';
+  }
+}
 
-  if (state.loanType === 'islamic') {
-    const islamicType = document.getElementById('islamicType')?.value || 'mm';
-    if (islamicType === 'murabahah') {
-      results = calculateIslamicMurabahah(loanAmount, interestRate, tenure);
-    } else {
-      // MM - using loan amount as bank's share, assume 10% customer contribution
-      const propertyValue = loanAmount / 0.9;
-      results = calculateIslamicMM(propertyValue, propertyValue * 0.1, interestRate, tenure);
-    }
-  } else {
-    results = calculateMonthlyPayment(loanAmount, interestRate, tenure);
+function updateInvestmentOptions() {
+  const investmentOptions = document.getElementById('investmentOptions');
+  if (investmentOptions) {
+    const use = document.getElementById('propertyUse')?.value;
+    investmentOptions.style.display = use === 'investment' ? 'grid' : 'none';
   }
+}
 
-  state.currentResults = results;
+function updateRateTypeOptions() {
+  const tieredOptions = document.getElementById('tieredRateOptions');
+  if (tieredOptions) {
+    tieredOptions.style.display = state.rateType === 'tiered' ? 'flex' : 'none';
+  }
 
-  // Generate amortization schedule
-  state.amortizationData = generateAmortizationSchedule(loanAmount, interestRate, tenure);
+  const variableOptions = document.getElementById('variableRateOptions');
+  if (variableOptions) {
+    variableOptions.style.display = state.rateType === 'variable' ? 'block' : 'none';
+  }
 
-  // Display results
-  displayMainResults(results, loanAmount, interestRate, tenure);
-  displayAmortizationTable();
+  const interestRate = document.getElementById('interestRate');
+  if (interestRate) {
+    interestRate.readOnly = state.rateType === 'variable';
+  }
 }
 
-function displayMainResults(results, loanAmount, rate, tenure) {
-  const resultsDiv = document.getElementById('calculatorResults');
-  if (!resultsDiv) return;
+function syncRateFromSpread() {
+  const baseRate = parseFloat(document.getElementById('baseRate').value) || 0;
+  const spread = parseFloat(document.getElementById('rateSpread').value) || 0;
+  document.getElementById('interestRate').value = roundToTwoDecimals(baseRate + spread).toFixed(2);
+}
 
-  const isIslamic = state.loanType === 'islamic';
-  const interestLabel = isIslamic ? 'Total Profit' : 'Total Interest';
-  const rateLabel = isIslamic ? 'Profit Rate' : 'Interest Rate';
+function syncSpreadFromRate() {
+  if (state.rateType !== 'variable') return;
 
-  resultsDiv.innerHTML = `
-    <div class="results-grid">
-      <div class="result-card primary">
-        <span class="result-label">Monthly Payment</span>
-        <span class="result-value">${formatCurrency(results.monthlyPayment)}</span>
-      </div>
-      <div class="result-card">
-        <span class="result-label">Loan Amount</span>
-        <span class="result-value">${formatCurrency(loanAmount)}</span>
-      </div>
-      <div class="result-card">
-        <span class="result-label">${interestLabel}</span>
-        <span class="result-value">${formatCurrency(results.totalInterest || results.totalProfit || results.totalRental)}</span>
-      </div>
-      <div class="result-card">
-        <span class="result-label">Total Payment</span>
-        <span class="result-value">${formatCurrency(results.totalPayment || results.sellingPrice)}</span>
-      </div>
-      <div class="result-card">
-        <span class="result-label">${rateLabel}</span>
-        <span class="result-value">${rate}% p.a.</span>
-      </div>
-      <div class="result-card">
-        <span class="result-label">Loan Tenure</span>
-        <span class="result-value">${tenure} years (${tenure * 12} months)</span>
-      </div>
-    </div>
+  const rate = parseFloat(document.getElementById('interestRate').value) || 0;
+  const baseRate = parseFloat(document.getElementById('baseRate').value) || 0;
+  document.getElementById('rateSpread').value = roundToTwoDecimals(rate - baseRate).toFixed(2);
+}
 
-    ${isIslamic && results.type ? `
-      <div class="islamic-note">
-        <strong>${results.type}</strong>
-        <p>${results.note}</p>
-      </div>
-    ` : ''}
+function addRateChangeRow(month = '', baseRate = '') {
+  const list = document.getElementById('rateChangesList');
+  if (!list) return;
 
-    <div class="chart-section">
-      <div class="chart-container">
-        <canvas id="paymentChart" width="200" height="200"></canvas>
-      </div>
-      <div class="chart-legend">
-        <div class="legend-item">
-          <span class="legend-color principal"></span>
-          <span class="legend-text">Principal: ${((loanAmount / (results.totalPayment || results.sellingPrice)) * 100).toFixed(1)}%</span>
-        </div>
-        <div class="legend-item">
-          <span class="legend-color interest"></span>
-          <span class="legend-text">Interest: ${(((results.totalInterest || results.totalProfit || results.totalRental) / (results.totalPayment || results.sellingPrice)) * 100).toFixed(1)}%</span>
-        </div>
-      </div>
+  const row = document.createElement('div');
+  row.className = 'row-item rate-change-item';
+  row.innerHTML = `
+    <div class="form-group">
+      <label class="form-label">From Month</label>
+      <input type="number" class="form-input rate-change-month" placeholder="18" min="1" value="${month}">
     </div>
+    <div class="form-group">
+      <label class="form-label">New SBR (%)</label>
+      <input type="number" class="form-input rate-change-base" placeholder="3.00" min="0" step="0.01" value="${baseRate}">
+    </div>
+    <button type="button" class="btn-remove" aria-label="Remove rate change">✕</button>
   `;
-
-  // Draw chart
-  setTimeout(() => {
-    drawPaymentChart(loanAmount, results.totalInterest || results.totalProfit || results.totalRental);
-  }, 50);
+  row.querySelector('.btn-remove').addEventListener('click', () => row.remove());
+  list.appendChild(row);
 }
 
-function displayAmortizationTable() {
-  const tableContainer = document.getElementById('amortizationTable');
-  if (!tableContainer || !state.amortizationData.length) return;
+function getRateChanges() {
+  return Array.from(document.querySelectorAll('.rate-change-item'))
+    .map(row => ({
+      month: parseInt(row.querySelector('.rate-change-month').value),
+      baseRate: parseFloat(row.querySelector('.rate-change-base').value)
+    }))
+    .filter(change => change.month >= 1 && !isNaN(change.baseRate));
+}
 
-  const viewMode = document.getElementById('amortizationView')?.value || 'yearly';
+function addRateTierRow(years = '', rate = '') {
+  const list = document.getElementById('rateTiersList');
+  if (!list) return;
 
-  let data = state.amortizationData;
+  const row = document.createElement('div');
+  row.className = 'row-item rate-tier-item';
+  row.innerHTML = `
+    <div class="form-group">
+      <label class="form-label">For Years</label>
+      <input type="number" class="form-input rate-tier-years" placeholder="2" min="1" max="35" value="${years}">
+    </div>
+    <div class="form-group">
+      <label class="form-label">Rate (% p.a.)</label>
+      <input type="number" class="form-input rate-tier-rate" placeholder="3.85" min="0" max="20" step="0.01" value="${rate}">
+    </div>
+    <button type="button" class="btn-remove" aria-label="Remove tier">✕</button>
+  `;
+  row.querySelector('.btn-remove').addEventListener('click', () => row.remove());
+  list.appendChild(row);
+}
 
-  // Aggregate yearly if needed
-  if (viewMode === 'yearly') {
-    data = aggregateYearly(state.amortizationData);
-  }
+// Prepayment rules for the extra payment tab; fields shown depend on the rule type
+const PREPAYMENT_RULE_TYPES = {
+  recurring: 'Recurring',
+  oneOff: 'One-off',
+  salaryIncrement: 'Share of Salary Increment'
+};
 
-  const isMonthly = viewMode === 'monthly';
+function addPrepaymentRuleRow(rule = {}) {
+  const list = document.getElementById('prepaymentRulesList');
+  if (!list) return;
 
-  tableContainer.innerHTML = `
-    <div class="table-controls">
-      <select id="amortizationView" onchange="displayAmortizationTable()">
-        <option value="yearly" ${viewMode === 'yearly' ? 'selected' : ''}>Yearly Summary</option>
-        <option value="monthly" ${viewMode === 'monthly' ? 'selected' : ''}>Monthly Detail</option>
+  const type = rule.type || 'recurring';
+  const row = document.createElement('div');
+  row.className = 'row-item prepayment-rule-item';
+  row.innerHTML = `
+    <div class="form-group">
+      <label class="form-label">Type</label>
+      <select class="form-select rule-type">
+        ${Object.entries(PREPAYMENT_RULE_TYPES).map(([key, label]) => `
+          <option value="${key}" ${key === type ? 'selected' : ''}>${label}</option>
+        `).join('')}
       </select>
-      <button type="button" class="btn-secondary" onclick="exportToCSV()">
-        <span class="icon">↓</span> Export CSV
-      </button>
-      <button type="button" class="btn-secondary" onclick="printAmortization()">
-        <span class="icon">🖨</span> Print
-      </button>
     </div>
-
-    <div class="table-wrapper">
-      <table class="amortization-table">
-        <thead>
-          <tr>
-            <th>${isMonthly ? 'Month' : 'Year'}</th>
-            <th>Payment</th>
-            <th>Principal</th>
-            <th>Interest</th>
-            <th>Balance</th>
-            <th>Cumulative Interest</th>
-          </tr>
-        </thead>
-        <tbody>
-          ${data.map(row => `
-            <tr>
-              <td>${isMonthly ? row.month : row.year}</td>
-              <td>${formatCurrency(row.payment)}</td>
-              <td>${formatCurrency(row.principal)}</td>
-              <td>${formatCurrency(row.interest)}</td>
-              <td>${formatCurrency(row.balance)}</td>
-              <td>${formatCurrency(row.cumulativeInterest)}</td>
-            </tr>
-          `).join('')}
-        </tbody>
-      </table>
+    <div class="form-group">
+      <label class="form-label rule-amount-label">Amount (RM)</label>
+      <input type="number" class="form-input rule-amount" placeholder="300" min="0" value="${rule.amount || ''}">
+    </div>
+    <div class="form-group">
+      <label class="form-label rule-start-label">From Month</label>
+      <input type="number" class="form-input rule-start" placeholder="1" min="1" value="${rule.startMonth || ''}">
+    </div>
+    <div class="form-group" data-types="recurring salaryIncrement">
+      <label class="form-label">Until Month</label>
+      <input type="number" class="form-input rule-end" placeholder="End" min="1" value="${rule.endMonth || ''}">
     </div>
+    <div class="form-group" data-types="recurring">
+      <label class="form-label">Every (Months)</label>
+      <input type="number" class="form-input rule-frequency" placeholder="1" min="1" value="${rule.frequency || ''}">
+    </div>
+    <div class="form-group" data-types="salaryIncrement">
+      <label class="form-label">Increment (% p.a.)</label>
+      <input type="number" class="form-input rule-increment" placeholder="5" min="0" step="0.1" value="${rule.incrementRate || ''}">
+    </div>
+    <div class="form-group" data-types="salaryIncrement">
+      <label class="form-label">Share Prepaid (%)</label>
+      <input type="number" class="form-input rule-share" placeholder="50" min="0" max="100" value="${rule.share || ''}">
+    </div>
+    <button type="button" class="btn-remove" aria-label="Remove prepayment">✕</button>
   `;
+  row.querySelector('.rule-type').addEventListener('change', () => updatePrepaymentRuleRow(row));
+  row.querySelector('.btn-remove').addEventListener('click', () => row.remove());
+  list.appendChild(row);
+  updatePrepaymentRuleRow(row);
 }
 
-function aggregateYearly(monthlyData) {
-  const yearly = {};
+function updatePrepaymentRuleRow(row) {
+  const type = row.querySelector('.rule-type').value;
+  row.querySelectorAll('[data-types]').forEach(group => {
+    group.style.display = group.dataset.types.split(' ').includes(type) ? '' : 'none';
+  });
+  row.querySelector('.rule-amount-label').textContent = type === 'salaryIncrement' ? 'Monthly Salary (RM)' : 'Amount (RM)';
+  row.querySelector('.rule-start-label').textContent = type === 'oneOff' ? 'At Month' : 'From Month';
+}
 
-  monthlyData.forEach(row => {
-    if (!yearly[row.year]) {
-      yearly[row.year] = {
-        year: row.year,
-        payment: 0,
-        principal: 0,
-        interest: 0,
-        balance: 0,
-        cumulativeInterest: 0
+function getPrepaymentRules() {
+  return Array.from(document.querySelectorAll('.prepayment-rule-item'))
+    .map(row => {
+      const type = row.querySelector('.rule-type').value;
+      const rule = {
+        type,
+        amount: parseFloat(row.querySelector('.rule-amount').value) || 0,
+        startMonth: parseInt(row.querySelector('.rule-start').value) || 1
       };
-    }
-    yearly[row.year].payment += row.payment;
-    yearly[row.year].principal += row.principal;
-    yearly[row.year].interest += row.interest;
-    yearly[row.year].balance = row.balance;
-    yearly[row.year].cumulativeInterest = row.cumulativeInterest;
+      if (type !== 'oneOff') rule.endMonth = parseInt(row.querySelector('.rule-end').value) || 0;
+      if (type === 'recurring') rule.frequency = parseInt(row.querySelector('.rule-frequency').value) || 1;
+      if (type === 'salaryIncrement') {
+        rule.incrementRate = parseFloat(row.querySelector('.rule-increment').value) || 0;
+        rule.share = parseFloat(row.querySelector('.rule-share').value) || 0;
+      }
+      return rule;
+    })
+    .filter(rule => rule.amount > 0);
+}
+
+// Rules are encoded as "type:amount:start:end:frequency:increment:share,..."
+function encodePrepaymentRules(rules) {
+  return rules.map(rule => [
+    rule.type,
+    rule.amount,
+    rule.startMonth,
+    rule.endMonth || '',
+    rule.frequency || '',
+    rule.incrementRate || '',
+    rule.share || ''
+  ].join(':')).join(',');
+}
+
+function decodePrepaymentRules(value) {
+  return (value || '').split(',').filter(Boolean).map(record => {
+    const [type, amount, startMonth, endMonth, frequency, incrementRate, share] = record.split(':');
+    return {
+      type: PREPAYMENT_RULE_TYPES[type] ? type : 'recurring',
+      amount: parseFloat(amount) || 0,
+      startMonth: parseInt(startMonth) || 1,
+      endMonth: parseInt(endMonth) || 0,
+      frequency: parseInt(frequency) || 0,
+      incrementRate: parseFloat(incrementRate) || 0,
+      share: parseFloat(share) || 0
+    };
   });
+}
 
-  return Object.values(yearly);
+// Flexi loan deposit and withdrawal plan; each entry repeats every `frequency` months
+function addFlexiPlanRow(entry = {}) {
+  const list = document.getElementById('flexiPlanList');
+  if (!list) return;
+
+  const action = entry.action || 'deposit';
+  const row = document.createElement('div');
+  row.className = 'row-item flexi-plan-item';
+  row.innerHTML = `
+    <div class="form-group">
+      <label class="form-label">Action</label>
+      <select class="form-select flexi-action">
+        <option value="deposit" ${action === 'deposit' ? 'selected' : ''}>Deposit</option>
+        <option value="withdrawal" ${action === 'withdrawal' ? 'selected' : ''}>Withdraw</option>
+      </select>
+    </div>
+    <div class="form-group">
+      <label class="form-label">Amount (RM)</label>
+      <input type="number" class="form-input flexi-amount" placeholder="1000" min="0" value="${entry.amount || ''}">
+    </div>
+    <div class="form-group">
+      <label class="form-label">From Month</label>
+      <input type="number" class="form-input flexi-start" placeholder="1" min="1" value="${entry.startMonth || ''}">
+    </div>
+    <div class="form-group">
+      <label class="form-label">Until Month</label>
+      <input type="number" class="form-input flexi-end" placeholder="End" min="1" value="${entry.endMonth || ''}">
+    </div>
+    <div class="form-group">
+      <label class="form-label">Every (Months)</label>
+      <input type="number" class="form-input flexi-frequency" placeholder="1" min="1" value="${entry.frequency || ''}">
+    </div>
+    <button type="button" class="btn-remove" aria-label="Remove entry">✕</button>
+  `;
+  row.querySelector('.btn-remove').addEventListener('click', () => row.remove());
+  list.appendChild(row);
 }
 
-// Extra payments calculation
-function calculateExtraPayments() {
-  const loanAmount = parseFloat(document.getElementById('extraLoanAmount').value);
-  const rate = parseFloat(document.getElementById('extraRate').value);
-  const tenure = parseInt(document.getElementById('extraTenure').value);
-  const extraMonthly = parseFloat(document.getElementById('extraMonthlyPayment').value) || 0;
-  const lumpSum = parseFloat(document.getElementById('lumpSumPayment').value) || 0;
-  const lumpSumMonth = parseInt(document.getElementById('lumpSumMonth').value) || 1;
+function setFlexiPlan(entries) {
+  const list = document.getElementById('flexiPlanList');
+  if (!list) return;
 
-  if (!loanAmount || !rate || !tenure) {
-    showError('Please fill in loan details');
-    return;
-  }
+  list.innerHTML = '';
+  entries.forEach(entry => addFlexiPlanRow(entry));
+}
 
-  const results = calculateExtraPaymentImpact(loanAmount, rate, tenure, extraMonthly, lumpSum, lumpSumMonth);
+function getFlexiPlan() {
+  return Array.from(document.querySelectorAll('.flexi-plan-item'))
+    .map(row => ({
+      action: row.querySelector('.flexi-action').value,
+      amount: parseFloat(row.querySelector('.flexi-amount').value) || 0,
+      startMonth: parseInt(row.querySelector('.flexi-start').value) || 1,
+      endMonth: parseInt(row.querySelector('.flexi-end').value) || 0,
+      frequency: parseInt(row.querySelector('.flexi-frequency').value) || 1
+    }))
+    .filter(entry => entry.amount > 0);
+}
 
-  displayExtraPaymentResults(results);
+// Entries are encoded as "action:amount:start:end:frequency,..."
+function encodeFlexiPlan(entries) {
+  return entries.map(entry => [
+    entry.action,
+    entry.amount,
+    entry.startMonth,
+    entry.endMonth || '',
+    entry.frequency
+  ].join(':')).join(',');
 }
 
-function displayExtraPaymentResults(results) {
-  const resultsDiv = document.getElementById('extraPaymentResults');
-  if (!resultsDiv) return;
+function decodeFlexiPlan(value) {
+  return (value || '').split(',').filter(Boolean).map(record => {
+    const [action, amount, startMonth, endMonth, frequency] = record.split(':');
+    return {
+      action: action === 'withdrawal' ? 'withdrawal' : 'deposit',
+      amount: parseFloat(amount) || 0,
+      startMonth: parseInt(startMonth) || 1,
+      endMonth: parseInt(endMonth) || 0,
+      frequency: parseInt(frequency) || 1
+    };
+  });
+}
 
-  resultsDiv.innerHTML = `
-    <h3>Extra Payment Analysis</h3>
+function applyFlexiTypeFees() {
+  const facility = FLEXI_LOAN_TYPES[document.getElementById('flexiType').value] || FLEXI_LOAN_TYPES.full;
+  document.getElementById('flexiAnnualFee').value = facility.annualFee;
+  document.getElementById('flexiRedrawFee').value = facility.redrawFee;
+}
+
+// Payment holidays and missed payments for the payment holiday tab
+const DISRUPTION_TYPES = {
+  deferral: 'Payment Holiday',
+  missed: 'Missed Payments'
+};
+
+function addDisruptionRow(event = {}) {
+  const list = document.getElementById('disruptionList');
+  if (!list) return;
+
+  const type = event.type || 'deferral';
+  const row = document.createElement('div');
+  row.className = 'row-item disruption-item';
+  row.innerHTML = `
+    <div class="form-group">
+      <label class="form-label">Type</label>
+      <select class="form-select disruption-type">
+        ${Object.entries(DISRUPTION_TYPES).map(([key, label]) => `
+          <option value="${key}" ${key === type ? 'selected' : ''}>${label}</option>
+        `).join('')}
+      </select>
+    </div>
+    <div class="form-group">
+      <label class="form-label">From Month</label>
+      <input type="number" class="form-input disruption-start" placeholder="13" min="1" value="${event.startMonth || ''}">
+    </div>
+    <div class="form-group">
+      <label class="form-label">Months</label>
+      <input type="number" class="form-input disruption-months" placeholder="${LATE_PAYMENT.moratoriumMonths}" min="1" value="${event.months || ''}">
+    </div>
+    <button type="button" class="btn-remove" aria-label="Remove period">✕</button>
+  `;
+  row.querySelector('.btn-remove').addEventListener('click', () => row.remove());
+  list.appendChild(row);
+}
+
+function setDisruptions(events) {
+  const list = document.getElementById('disruptionList');
+  if (!list) return;
+
+  list.innerHTML = '';
+  events.forEach(event => addDisruptionRow(event));
+}
+
+function getDisruptions() {
+  return Array.from(document.querySelectorAll('.disruption-item'))
+    .map(row => ({
+      type: row.querySelector('.disruption-type').value,
+      startMonth: parseInt(row.querySelector('.disruption-start').value) || 0,
+      months: parseInt(row.querySelector('.disruption-months').value) || 0
+    }))
+    .filter(event => event.startMonth > 0 && event.months > 0);
+}
+
+// Periods are encoded as "type:start:months,..."
+function encodeDisruptions(events) {
+  return events.map(event => `${event.type}:${event.startMonth}:${event.months}`).join(',');
+}
+
+function decodeDisruptions(value) {
+  return (value || '').split(',').filter(Boolean).map(record => {
+    const [type, startMonth, months] = record.split(':');
+    return {
+      type: DISRUPTION_TYPES[type] ? type : 'deferral',
+      startMonth: parseInt(startMonth) || 0,
+      months: parseInt(months) || 0
+    };
+  });
+}
+
+// Fill promotional tier rows from a bank package (the thereafter tier goes in interestRate)
+function setRateTiers(tiers) {
+  const list = document.getElementById('rateTiersList');
+  if (!list) return;
+
+  list.innerHTML = '';
+  tiers.filter(tier => tier.years).forEach(tier => addRateTierRow(tier.years, tier.rate));
+}
+
+// Progress billing stages: one row per Schedule H stage, percent and month editable
+function setBillingStages(stages = SCHEDULE_H.stages) {
+  const list = document.getElementById('billingStagesList');
+  if (!list) return;
+
+  list.innerHTML = stages.map(stage => `
+    <div class="row-item billing-stage-item">
+      <div class="form-group">
+        <label class="form-label">Stage</label>
+        <input type="text" class="form-input" value="${stage.label}" disabled>
+      </div>
+      <div class="form-group">
+        <label class="form-label">Billing (%)</label>
+        <input type="number" class="form-input billing-stage-percent" min="0" max="100" step="0.5" value="${stage.percent}">
+      </div>
+      <div class="form-group">
+        <label class="form-label">Month</label>
+        <input type="number" class="form-input billing-stage-month" min="0" max="120" value="${stage.month}">
+      </div>
+    </div>
+  `).join('');
+}
+
+function getBillingStages() {
+  const rows = document.querySelectorAll('.billing-stage-item');
+  return SCHEDULE_H.stages.map((stage, index) => ({
+    ...stage,
+    percent: rows[index] ? parseFloat(rows[index].querySelector('.billing-stage-percent').value) || 0 : stage.percent,
+    month: rows[index] ? parseInt(rows[index].querySelector('.billing-stage-month').value) || 0 : stage.month
+  }));
+}
+
+// Billing stages are encoded as "percent:month,..." in Schedule H order
+function decodeBillingStages(value) {
+  const pairs = parseNumberPairs(value);
+  return SCHEDULE_H.stages.map((stage, index) => (
+    pairs[index] ? { ...stage, percent: pairs[index][0], month: pairs[index][1] } : stage
+  ));
+}
+
+// Tenure limits from age at maturity and the bank's maximum tenure
+function getBankMaxTenure(bankName) {
+  const banks = [...MALAYSIAN_BANKS.conventional, ...MALAYSIAN_BANKS.islamic];
+  const bank = banks.find(item => item.name === bankName);
+  return bank ? bank.maxTenure : Math.max(...banks.map(item => item.maxTenure));
+}
+
+function describeTenureLimit(limit) {
+  if (limit.limitedBy === 'bank') return `Maximum tenure: ${limit.maxTenure} years (bank limit)`;
+  return `Maximum tenure: ${limit.maxTenure} years (age ${limit.maxAge} at maturity)`;
+}
+
+function updateTenureLimits() {
+  const tenureHelp = document.getElementById('tenureLimitHelp');
+  if (tenureHelp) {
+    tenureHelp.textContent = describeTenureLimit(calculateMaxTenure(
+      parseInt(document.getElementById('borrowerAge').value) || 0,
+      document.getElementById('employmentType').value,
+      getBankMaxTenure(document.getElementById('bankSelect').value)
+    ));
+  }
+
+  const affordHelp = document.getElementById('affordTenureHelp');
+  if (affordHelp) {
+    const borrowers = getBorrowers();
+    const limit = validateJointTenure(0, borrowers, getBankMaxTenure());
+    affordHelp.textContent = describeTenureLimit(limit) +
+      (borrowers.length > 1 && limit.limitedBy === 'age' ? `, set by Borrower ${limit.eldestIndex + 1}` : '');
+  }
+}
+
+// Borrower rows for the affordability check; commitment inputs follow COMMITMENT_TYPES
+function addBorrowerRow(borrower = {}) {
+  const list = document.getElementById('borrowersList');
+  if (!list) return;
+
+  const commitments = borrower.commitments || {};
+  const row = document.createElement('div');
+  row.className = 'borrower-item';
+  row.innerHTML = `
+    <div class="borrower-header">
+      <strong class="borrower-title"></strong>
+      <button type="button" class="btn-remove" aria-label="Remove borrower">✕</button>
+    </div>
+    <div class="form-grid">
+      <div class="form-group">
+        <label class="form-label">Gross Monthly Income (RM)</label>
+        <input type="number" class="form-input borrower-income" placeholder="8,000" min="0" value="${borrower.grossIncome || ''}">
+      </div>
+      <div class="form-group">
+        <label class="form-label">Income Type</label>
+        <select class="form-select borrower-income-type">
+          ${Object.entries(INCOME_TYPES).map(([key, type]) => `
+            <option value="${key}" ${key === borrower.incomeType ? 'selected' : ''}>${type.label}</option>
+          `).join('')}
+        </select>
+      </div>
+      <div class="form-group">
+        <label class="form-label">Age</label>
+        <input type="number" class="form-input borrower-age" placeholder="30" min="18" max="70" value="${borrower.age || ''}">
+      </div>
+      ${Object.entries(COMMITMENT_TYPES).map(([key, type]) => `
+        <div class="form-group">
+          <label class="form-label">${type.basis === 'limit' ? `${type.label} Limit (RM)` : `${type.label} (RM/month)`}</label>
+          <input type="number" class="form-input borrower-commitment" data-key="${key}" placeholder="0" min="0" value="${commitments[key] || ''}">
+        </div>
+      `).join('')}
+    </div>
+  `;
+  row.querySelector('.btn-remove').addEventListener('click', () => {
+    row.remove();
+    renumberBorrowers();
+    updateTenureLimits();
+  });
+  list.appendChild(row);
+  renumberBorrowers();
+}
+
+function renumberBorrowers() {
+  const rows = document.querySelectorAll('.borrower-item');
+  rows.forEach((row, index) => {
+    row.querySelector('.borrower-title').textContent = `Borrower ${index + 1}`;
+    // Always keep at least one borrower
+    row.querySelector('.btn-remove').style.display = rows.length > 1 ? '' : 'none';
+  });
+}
+
+function setBorrowers(borrowers) {
+  const list = document.getElementById('borrowersList');
+  if (!list) return;
+
+  list.innerHTML = '';
+  (borrowers.length ? borrowers : [{}]).forEach(borrower => addBorrowerRow(borrower));
+}
+
+function getBorrowers() {
+  return Array.from(document.querySelectorAll('.borrower-item')).map(row => {
+    const commitments = {};
+    row.querySelectorAll('.borrower-commitment').forEach(input => {
+      commitments[input.dataset.key] = parseFloat(input.value) || 0;
+    });
+
+    return {
+      grossIncome: parseFloat(row.querySelector('.borrower-income').value) || 0,
+      incomeType: row.querySelector('.borrower-income-type').value,
+      age: parseInt(row.querySelector('.borrower-age').value) || 0,
+      commitments
+    };
+  });
+}
+
+// Borrowers are encoded as "income:type:age:<commitments in COMMITMENT_TYPES order>,..."
+function encodeBorrowers(borrowers) {
+  return borrowers.map(borrower => [
+    borrower.grossIncome || '',
+    borrower.incomeType,
+    borrower.age || '',
+    ...Object.keys(COMMITMENT_TYPES).map(key => borrower.commitments[key] || '')
+  ].join(':')).join(',');
+}
+
+function decodeBorrowers(value) {
+  return (value || '').split(',').filter(Boolean).map(record => {
+    const [grossIncome, incomeType, age, ...amounts] = record.split(':');
+    const commitments = {};
+    Object.keys(COMMITMENT_TYPES).forEach((key, index) => {
+      commitments[key] = parseFloat(amounts[index]) || 0;
+    });
+
+    return {
+      grossIncome: parseFloat(grossIncome) || 0,
+      incomeType,
+      age: parseInt(age) || 0,
+      commitments
+    };
+  });
+}
+
+// Cash-to-close line items: each row is editable and can be marked optional
+function addCashToCloseRow(item = {}) {
+  const list = document.getElementById('cashToCloseList');
+  if (!list) return;
+
+  const row = document.createElement('div');
+  row.className = 'row-item cash-item';
+  row.innerHTML = `
+    <div class="form-group">
+      <label class="form-label">Item</label>
+      <input type="text" class="form-input cash-item-label" placeholder="Renovation deposit" maxlength="60">
+    </div>
+    <div class="form-group">
+      <label class="form-label">Amount (RM)</label>
+      <input type="number" class="form-input cash-item-amount" placeholder="0" min="0" value="${item.amount ?? ''}">
+    </div>
+    <div class="form-group">
+      <label class="form-label">Due At</label>
+      <select class="form-select cash-item-stage">
+        ${CASH_TO_CLOSE.stages.map(stage => `
+          <option value="${stage.key}" ${stage.key === (item.stage || 'completion') ? 'selected' : ''}>${stage.label}</option>
+        `).join('')}
+      </select>
+    </div>
+    <div class="checkbox-group">
+      <input type="checkbox" class="cash-item-optional" ${item.optional ? 'checked' : ''}>
+      <label>Optional</label>
+    </div>
+    <button type="button" class="btn-remove" aria-label="Remove item">✕</button>
+  `;
+  // Set as a property so labels never need HTML escaping
+  row.querySelector('.cash-item-label').value = item.label || '';
+  row.querySelector('.btn-remove').addEventListener('click', () => row.remove());
+  list.appendChild(row);
+}
+
+// `basis` records the estimate the items were built from, if any
+function setCashToCloseItems(items, basis = null) {
+  const list = document.getElementById('cashToCloseList');
+  if (!list) return;
+
+  state.cashToCloseBasis = basis;
+  list.innerHTML = '';
+  items.forEach(item => addCashToCloseRow(item));
+}
+
+function getCashToCloseItems() {
+  return Array.from(document.querySelectorAll('.cash-item'))
+    .map(row => ({
+      label: row.querySelector('.cash-item-label').value.trim(),
+      amount: parseFloat(row.querySelector('.cash-item-amount').value) || 0,
+      stage: row.querySelector('.cash-item-stage').value,
+      optional: row.querySelector('.cash-item-optional').checked
+    }))
+    .filter(item => item.label);
+}
+
+// Items are encoded as "label:amount:stage:optional,..." with the label URI-encoded
+function encodeCashToCloseItems(items) {
+  return items.map(item => [
+    encodeURIComponent(item.label),
+    item.amount,
+    item.stage,
+    item.optional ? '1' : '0'
+  ].join(':')).join(',');
+}
+
+function decodeCashToCloseItems(value) {
+  return (value || '').split(',').filter(Boolean).map(record => {
+    const [label, amount, stage, optional] = record.split(':');
+    return {
+      label: decodeURIComponent(label || ''),
+      amount: parseFloat(amount) || 0,
+      stage,
+      optional: optional === '1'
+    };
+  }).filter(item => item.label);
+}
+
+// Rebuild the items from the current purchase inputs, discarding any edits
+function resetCashToCloseItems() {
+  setCashToCloseItems([]);
+  calculateStampDutyAndFees();
+  updateScenarioURL();
+}
+
+// Margin of finance limits for the borrower's next housing loan
+// Disable margins above the cap and step the selection down to it
+function updateMarginOptions(selectId, existingLoansId) {
+  const select = document.getElementById(selectId);
+  const existing = document.getElementById(existingLoansId);
+  if (!select || !existing) return;
+
+  const maxMargin = getMaxMarginOfFinance(parseInt(existing.value) || 0);
+  Array.from(select.options).forEach(option => {
+    option.disabled = parseFloat(option.value) > maxMargin;
+  });
+  if (parseFloat(select.value) > maxMargin) select.value = String(maxMargin);
+}
+
+function updateAllMarginOptions() {
+  updateMarginOptions('loanMargin', 'stampExistingLoans');
+  updateMarginOptions('goalMargin', 'goalExistingLoans');
+}
+
+// Note shown with every result that depends on the margin of finance
+function renderMarginNote(check, cappedText = '') {
+  if (!check || !check.message) return '';
+
+  if (!check.allowed) {
+    return `
+      <div class="recommendation negative">
+        <span class="recommendation-icon">!</span>
+        <span class="recommendation-text">${check.message} ${cappedText}</span>
+      </div>
+    `;
+  }
+
+  return `
+    <div class="info-note">
+      <strong>Margin of Finance</strong>
+      <p>${check.message} A larger down payment is needed.</p>
+    </div>
+  `;
+}
+
+// Inputs prefilled on load; see scenarioToQuery for how a cleared one is shared
+const DEFAULT_VALUES = {
+  loanAmount: 500000,
+  interestRate: 4.10,
+  baseRate: REFERENCE_RATES.sbr,
+  rateSpread: 1.35,
+  ceilingRate: ISLAMIC_PRODUCTS.murabahah.ceilingRate,
+  islamicLockIn: 3,
+  islamicSettlementCharge: 3,
+  transferPrice: ISLAMIC_PRODUCTS.ijarah.transferPrice,
+  reviewInterval: ISLAMIC_PRODUCTS.ijarah.reviewIntervalYears,
+  reviewRateChange: 0,
+  compareLoanAmount: 500000,
+  compareTenure: 30,
+  refiLockIn: 3,
+  refiPenaltyRate: 3,
+  refiDiscountRate: 3,
+  tenure: 30,
+  borrowerAge: 30,
+  targetPayment: 2800,
+  goalLoanAmount: 500000,
+  goalRate: 4.10,
+  goalTenure: 35,
+  downPaymentPercent: 10,
+  flexiLoanAmount: 500000,
+  flexiRate: 4.10,
+  flexiTenure: 30,
+  flexiAnnualFee: FLEXI_LOAN_TYPES.full.annualFee,
+  flexiRedrawFee: FLEXI_LOAN_TYPES.full.redrawFee,
+  holidayLoanAmount: 500000,
+  holidayRate: 4.10,
+  holidayTenure: 30,
+  lateChargeRate: LATE_PAYMENT.chargeRate,
+  rentBuyPrice: 600000,
+  rentBuyRate: 4.10,
+  rentBuyTenure: 30,
+  monthlyRent: 1800,
+  appreciationRate: RENT_VS_BUY.appreciationRate,
+  maintenanceFee: RENT_VS_BUY.maintenance,
+  quitRent: RENT_VS_BUY.quitRent,
+  assessmentTax: RENT_VS_BUY.assessment,
+  rentGrowth: RENT_VS_BUY.rentGrowth,
+  investmentReturn: RENT_VS_BUY.investmentReturn,
+  rentBuyYears: RENT_VS_BUY.horizonYears,
+  investVacancy: INVESTMENT_PROPERTY.vacancyRate,
+  investMaintenance: RENT_VS_BUY.maintenance,
+  investManagementFee: INVESTMENT_PROPERTY.managementFeeRate,
+  investOtherCosts: INVESTMENT_PROPERTY.otherCosts
+};
+
+// Set default values
+function setDefaultValues() {
+  Object.entries(DEFAULT_VALUES).forEach(([id, value]) => {
+    const input = document.getElementById(id);
+    if (input) input.value = value;
+  });
+
+  setBorrowers([{ grossIncome: 8000, incomeType: 'employed', age: 30, commitments: { carLoan: 500 } }]);
+  setBillingStages();
+  setFlexiPlan([{ action: 'deposit', amount: 1000, startMonth: 1, frequency: 1 }]);
+  setDisruptions([{ type: 'deferral', startMonth: 13, months: LATE_PAYMENT.moratoriumMonths }]);
+}
+
+// Shareable scenario URLs
+// Each tab maps to the form it reads and the calculation it runs
+const SCENARIO_TABS = {
+  calculator: { formId: 'calculatorForm', calculate: () => calculateMortgage() },
+  amortization: { formId: 'calculatorForm', calculate: () => calculateMortgage() },
+  'compare-banks': { formId: 'compareBanksForm', calculate: () => calculateBankComparison() },
+  'extra-payment': { formId: 'extraPaymentForm', calculate: () => calculateExtraPayments() },
+  'flexi-loan': { formId: 'flexiLoanForm', calculate: () => simulateFlexiLoan() },
+  'payment-holiday': { formId: 'paymentHolidayForm', calculate: () => calculatePaymentHoliday() },
+  refinancing: { formId: 'refinancingForm', calculate: () => calculateRefinancing() },
+  affordability: { formId: 'affordabilityForm', calculate: () => calculateAffordabilityCheck() },
+  'goal-seek': { formId: 'goalSeekForm', calculate: () => calculateGoalSeek() },
+  'stamp-duty': { formId: 'stampDutyForm', calculate: () => calculateStampDutyAndFees() },
+  'rent-vs-buy': { formId: 'rentBuyForm', calculate: () => compareRentVsBuy() }
+};
+
+function getScenarioForms() {
+  const formIds = [...new Set(Object.values(SCENARIO_TABS).map(tab => tab.formId))];
+  return formIds.map(id => document.getElementById(id)).filter(Boolean);
+}
+
+// Snapshot of the active tab and every form input
+function collectScenario() {
+  const inputs = {};
+
+  getScenarioForms().forEach(form => {
+    form.querySelectorAll('input, select').forEach(field => {
+      if (field.type === 'radio') {
+        if (field.checked) inputs[field.name] = field.value;
+        return;
+      }
+      // Repeatable rows and bank checkboxes are encoded as lists below
+      if (!field.id || field.classList.contains('compare-bank')) return;
+
+      inputs[field.id] = field.type === 'checkbox' ? (field.checked ? '1' : '0') : field.value;
+    });
+  });
+
+  inputs.rateChanges = getRateChanges().map(change => `${change.month}:${change.baseRate}`).join(',');
+  inputs.rateTiers = Array.from(document.querySelectorAll('.rate-tier-item'))
+    .map(row => `${row.querySelector('.rate-tier-years').value}:${row.querySelector('.rate-tier-rate').value}`)
+    .filter(pair => pair !== ':')
+    .join(',');
+  inputs.borrowers = encodeBorrowers(getBorrowers());
+  inputs.cashToClose = encodeCashToCloseItems(getCashToCloseItems());
+  inputs.prepaymentRules = encodePrepaymentRules(getPrepaymentRules());
+  inputs.flexiPlan = encodeFlexiPlan(getFlexiPlan());
+  inputs.disruptions = encodeDisruptions(getDisruptions());
+
+  // Only carry the billing schedule when it differs from Schedule H
+  const billingStages = getBillingStages();
+  if (billingStages.some((stage, index) =>
+    stage.percent !== SCHEDULE_H.stages[index].percent || stage.month !== SCHEDULE_H.stages[index].month
+  )) {
+    inputs.billingStages = billingStages.map(stage => `${stage.percent}:${stage.month}`).join(',');
+  }
+
+  const bankBoxes = Array.from(document.querySelectorAll('.compare-bank'));
+  if (bankBoxes.some(box => !box.checked)) {
+    inputs.compareBanks = bankBoxes.filter(box => box.checked).map(box => box.value).join('|');
+  }
+
+  return { tab: state.scenarioTab, inputs };
+}
+
+function parseNumberPairs(value) {
+  return (value || '').split(',')
+    .map(pair => pair.split(':').map(parseFloat))
+    .filter(([a, b]) => !isNaN(a) && !isNaN(b));
+}
+
+function applyScenario(scenario) {
+  const inputs = scenario.inputs || {};
+
+  // Toggles first: they rebuild the selects and option panels that depend on them
+  ['loanType', 'rateType'].forEach(name => {
+    const radio = document.querySelector(`input[name="${name}"][value="${inputs[name]}"]`);
+    if (radio) radio.checked = true;
+  });
+  state.loanType = document.querySelector('input[name="loanType"]:checked')?.value || 'conventional';
+  state.rateType = document.querySelector('input[name="rateType"]:checked')?.value || 'fixed';
+  updateBankOptions();
+
+  if (inputs.compareLoanType) {
+    document.getElementById('compareLoanType').value = inputs.compareLoanType;
+  }
+  renderCompareBankList();
+
+  getScenarioForms().forEach(form => {
+    form.querySelectorAll('input[id], select[id]').forEach(field => {
+      if (field.type === 'radio' || field.classList.contains('compare-bank')) return;
+      if (!(field.id in inputs)) return;
+
+      if (field.type === 'checkbox') {
+        field.checked = inputs[field.id] === '1';
+      } else {
+        field.value = inputs[field.id];
+      }
+    });
+  });
+
+  document.getElementById('rateChangesList').innerHTML = '';
+  parseNumberPairs(inputs.rateChanges).forEach(([month, baseRate]) => addRateChangeRow(month, baseRate));
+
+  document.getElementById('rateTiersList').innerHTML = '';
+  parseNumberPairs(inputs.rateTiers).forEach(([years, rate]) => addRateTierRow(years, rate));
+
+  if (inputs.compareBanks) {
+    const selected = inputs.compareBanks.split('|');
+    document.querySelectorAll('.compare-bank').forEach(box => {
+      box.checked = selected.includes(box.value);
+    });
+  }
+
+  if (inputs.borrowers) {
+    setBorrowers(decodeBorrowers(inputs.borrowers));
+  }
+
+  setCashToCloseItems(decodeCashToCloseItems(inputs.cashToClose));
+  setBillingStages(decodeBillingStages(inputs.billingStages));
+
+  document.getElementById('prepaymentRulesList').innerHTML = '';
+  decodePrepaymentRules(inputs.prepaymentRules).forEach(rule => addPrepaymentRuleRow(rule));
+  setFlexiPlan(decodeFlexiPlan(inputs.flexiPlan));
+  setDisruptions(decodeDisruptions(inputs.disruptions));
+
+  updateIslamicOptions();
+  updateInsuranceOptions();
+  updateDisbursementOptions();
+  updateInvestmentOptions();
+  updateRateTypeOptions();
+  updateTenureLimits();
+  updateGoalSeekFields();
+  updateAllMarginOptions();
+}
+
+function scenarioToQuery(scenario) {
+  const params = new URLSearchParams();
+  params.set('tab', scenario.tab);
+  Object.entries(scenario.inputs).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    // Blanks are left out unless they clear a prefilled input, which would otherwise
+    // come back with its default when the link is opened
+    if (value !== '' || key in DEFAULT_VALUES) params.set(key, value);
+  });
+  return params.toString();
+}
+
+function parseScenarioQuery(search) {
+  const params = new URLSearchParams(search);
+  const tab = params.get('tab');
+  if (!tab || !SCENARIO_TABS[tab]) return null;
+
+  const inputs = {};
+  params.forEach((value, key) => {
+    if (key !== 'tab') inputs[key] = value;
+  });
+  return { tab, inputs: upgradeLegacyBorrowerInputs(inputs) };
+}
+
+function runScenarioCalculation(tab) {
+  const config = SCENARIO_TABS[tab];
+  if (config) config.calculate();
+}
+
+function getScenarioURL() {
+  return `${window.location.pathname}?${scenarioToQuery(collectScenario())}`;
+}
+
+function updateScenarioURL() {
+  window.history.replaceState(null, '', getScenarioURL());
+}
+
+function copyScenarioLink() {
+  updateScenarioURL();
+  const link = window.location.href;
+
+  if (navigator.clipboard) {
+    navigator.clipboard.writeText(link)
+      .then(() => showToast('Link copied to clipboard'))
+      .catch(() => showError('Could not copy link. Copy it from the address bar instead.'));
+  } else {
+    showError('Could not copy link. Copy it from the address bar instead.');
+  }
+}
+
+// Saved scenarios library (localStorage)
+const SAVED_SCENARIOS_KEY = 'mortgageCalculator.savedScenarios';
+const SAVED_SCENARIO_VERSION = 2;
+
+// Upgrades keyed by the version they upgrade from. When an input is renamed or
+// its meaning changes, bump SAVED_SCENARIO_VERSION and add a step here.
+const SAVED_SCENARIO_MIGRATIONS = {
+  // v2: single-applicant affordability fields became the borrowers list
+  1: entry => ({
+    ...entry,
+    scenario: { ...entry.scenario, inputs: upgradeLegacyBorrowerInputs(entry.scenario.inputs || {}) }
+  })
+};
+
+// Convert the pre-joint-borrower affordability fields into a one-borrower list
+function upgradeLegacyBorrowerInputs(inputs) {
+  if (inputs.borrowers || !inputs.monthlyIncome) return inputs;
+
+  const legacyFields = {
+    carLoan: 'carLoanCommitment',
+    ptptn: 'ptptnCommitment',
+    personalLoan: 'personalLoanCommitment',
+    creditCard: 'creditCardLimit',
+    other: 'existingCommitments'
+  };
+  const commitments = {};
+  Object.entries(legacyFields).forEach(([key, field]) => {
+    commitments[key] = parseFloat(inputs[field]) || 0;
+  });
+
+  const upgraded = { ...inputs };
+  ['monthlyIncome', 'epfRate', 'affordAge', 'affordEmployment', ...Object.values(legacyFields)]
+    .forEach(field => delete upgraded[field]);
+  upgraded.borrowers = encodeBorrowers([{
+    grossIncome: parseFloat(inputs.monthlyIncome) || 0,
+    incomeType: inputs.affordEmployment || 'employed',
+    age: parseInt(inputs.affordAge) || 0,
+    commitments
+  }]);
+
+  return upgraded;
+}
+
+function migrateSavedScenario(entry) {
+  let migrated = { ...entry, version: entry.version || 1 };
+
+  while (migrated.version < SAVED_SCENARIO_VERSION) {
+    const migrate = SAVED_SCENARIO_MIGRATIONS[migrated.version];
+    if (migrate) migrated = migrate(migrated);
+    migrated.version += 1;
+  }
+
+  return migrated;
+}
+
+// Entries written by a newer version of the app cannot be read safely, so they are
+// hidden from the list but always written back untouched
+function isReadableSavedScenario(entry) {
+  return Boolean(entry && entry.scenario) && (entry.version || 1) <= SAVED_SCENARIO_VERSION;
+}
+
+// Every stored entry, with readable ones migrated; null if the store cannot be parsed
+function readSavedScenarioStore() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(SAVED_SCENARIOS_KEY) || '[]');
+    if (!Array.isArray(stored)) return null;
+
+    return stored.map(entry => isReadableSavedScenario(entry) ? migrateSavedScenario(entry) : entry);
+  } catch (err) {
+    return null;
+  }
+}
+
+function loadSavedScenarios() {
+  return (readSavedScenarioStore() || []).filter(isReadableSavedScenario);
+}
+
+// The full store for a change; an unreadable store is never overwritten
+function loadSavedScenariosForUpdate() {
+  const entries = readSavedScenarioStore();
+  if (!entries) showError('Saved scenarios could not be read, so they were left unchanged.');
+  return entries;
+}
+
+function storeSavedScenarios(entries) {
+  try {
+    window.localStorage.setItem(SAVED_SCENARIOS_KEY, JSON.stringify(entries));
+    return true;
+  } catch (err) {
+    showError('Could not save scenarios. Browser storage may be full or disabled.');
+    return false;
+  }
+}
+
+function findSavedScenario(id) {
+  return loadSavedScenarios().find(entry => entry.id === id);
+}
+
+function createScenarioId() {
+  return `s${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function getDefaultScenarioName() {
+  const bank = document.getElementById('bankSelect')?.value;
+  const tenure = document.getElementById('tenure')?.value;
+  const lender = bank && bank !== 'custom' ? bank : 'Custom rate';
+  return tenure ? `${lender} ${tenure}y` : lender;
+}
+
+function saveCurrentScenario() {
+  const nameInput = document.getElementById('scenarioName');
+  const name = nameInput.value.trim() || getDefaultScenarioName();
+  const now = new Date().toISOString();
+
+  const entries = loadSavedScenariosForUpdate();
+  if (!entries) return;
+
+  entries.push({
+    id: createScenarioId(),
+    name,
+    version: SAVED_SCENARIO_VERSION,
+    createdAt: now,
+    updatedAt: now,
+    scenario: collectScenario()
+  });
+
+  if (storeSavedScenarios(entries)) {
+    nameInput.value = '';
+    displaySavedScenarios();
+    showToast(`Saved "${name}"`);
+  }
+}
+
+function loadSavedScenario(id) {
+  const entry = findSavedScenario(id);
+  if (!entry) return;
+
+  applyScenario(entry.scenario);
+  showTab(entry.scenario.tab);
+  runScenarioCalculation(entry.scenario.tab);
+  updateScenarioURL();
+}
+
+function renameSavedScenario(id) {
+  const entries = loadSavedScenariosForUpdate();
+  const entry = entries && entries.find(item => isReadableSavedScenario(item) && item.id === id);
+  if (!entry) return;
+
+  const name = window.prompt('Rename scenario', entry.name);
+  if (name === null || !name.trim()) return;
+
+  entry.name = name.trim();
+  entry.updatedAt = new Date().toISOString();
+  if (storeSavedScenarios(entries)) displaySavedScenarios();
+}
+
+function duplicateSavedScenario(id) {
+  const entries = loadSavedScenariosForUpdate();
+  if (!entries) return;
+
+  const index = entries.findIndex(item => isReadableSavedScenario(item) && item.id === id);
+  if (index === -1) return;
+
+  const now = new Date().toISOString();
+  entries.splice(index + 1, 0, {
+    ...JSON.parse(JSON.stringify(entries[index])),
+    id: createScenarioId(),
+    name: `${entries[index].name} (copy)`,
+    createdAt: now,
+    updatedAt: now
+  });
+
+  if (storeSavedScenarios(entries)) displaySavedScenarios();
+}
+
+function deleteSavedScenario(id) {
+  const entries = loadSavedScenariosForUpdate();
+  const entry = entries && entries.find(item => isReadableSavedScenario(item) && item.id === id);
+  if (!entry || !window.confirm(`Delete "${entry.name}"?`)) return;
+
+  if (storeSavedScenarios(entries.filter(item => item.id !== id))) displaySavedScenarios();
+}
+
+function displaySavedScenarios() {
+  const listDiv = document.getElementById('savedScenariosList');
+  if (!listDiv) return;
+
+  const stored = readSavedScenarioStore();
+  if (!stored) {
+    listDiv.innerHTML = '<p class="text-muted">Saved scenarios could not be read from browser storage.</p>';
+    return;
+  }
+
+  const entries = stored.filter(isReadableSavedScenario);
+  if (!entries.length) {
+    listDiv.innerHTML = stored.length
+      ? '<p class="text-muted">Your saved scenarios were created by a newer version of this calculator.</p>'
+      : '<p class="text-muted">No saved scenarios yet. Fill in any calculator, then save it here.</p>';
+    return;
+  }
+
+  const tabNames = {};
+  document.querySelectorAll('.nav-btn').forEach(btn => {
+    tabNames[btn.dataset.tab] = btn.textContent.trim();
+  });
+
+  listDiv.innerHTML = `
+    <div class="table-wrapper">
+      <table class="amortization-table saved-scenarios-table">
+        <thead>
+          <tr>
+            <th>Compare</th>
+            <th>Name</th>
+            <th>Tab</th>
+            <th>Saved</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${entries.map(entry => `
+            <tr>
+              <td><input type="checkbox" class="compare-scenario" value="${entry.id}"></td>
+              <td>${escapeHTML(entry.name)}</td>
+              <td>${tabNames[entry.scenario.tab] || entry.scenario.tab}</td>
+              <td>${new Date(entry.updatedAt).toLocaleDateString('en-MY')}</td>
+              <td class="scenario-actions">
+                <button type="button" class="btn btn-secondary" onclick="loadSavedScenario('${entry.id}')">Load</button>
+                <button type="button" class="btn btn-secondary" onclick="renameSavedScenario('${entry.id}')">Rename</button>
+                <button type="button" class="btn btn-secondary" onclick="duplicateSavedScenario('${entry.id}')">Duplicate</button>
+                <button type="button" class="btn btn-secondary btn-danger" onclick="deleteSavedScenario('${entry.id}')">Delete</button>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+// Headline figures for a saved scenario, from its calculator and stamp duty inputs
+function summarizeSavedScenario(entry) {
+  const inputs = entry.scenario.inputs || {};
+  const params = parseMortgageInputs(inputs);
+  if (!params.loanAmount || !params.interestRate || !params.tenure) return null;
+
+  const outcome = computeMortgageWithInsurance(params);
+  if (outcome.error) return null;
+
+  const { results, schedule } = outcome;
+
+  // Property price as entered, or implied by the loan amount and the allowed margin of finance
+  const margin = checkMarginOfFinance(
+    parseFloat(inputs.loanMargin) || MARGIN_OF_FINANCE.standard, params.existingHousingLoans
+  ).appliedMargin;
+  const propertyPrice = params.propertyPrice || params.loanAmount / (margin / 100);
+  const upfront = calculateTotalUpfrontCosts(
+    propertyPrice, params.loanAmount, inputs.firstTimeBuyer === '1', inputs.applyHOC === '1',
+    results.insurance ? results.insurance.upfrontPremium : 0
+  );
+
+  // Without a drawdown date, assume the first instalment falls due next month
+  let payoffDate = schedule[schedule.length - 1].dueDate;
+  if (!payoffDate) {
+    payoffDate = new Date();
+    payoffDate.setDate(1);
+    payoffDate.setMonth(payoffDate.getMonth() + schedule.length);
+  }
+
+  return {
+    monthlyPayment: results.monthlyPayment,
+    totalInterest: results.totalInterest || results.totalProfit || results.totalRental,
+    upfrontCosts: upfront.totalCosts,
+    payoffDate
+  };
+}
+
+function compareSavedScenarios() {
+  const resultsDiv = document.getElementById('scenarioComparison');
+  const ids = Array.from(document.querySelectorAll('.compare-scenario:checked')).map(box => box.value);
+
+  if (ids.length < 2 || ids.length > 4) {
+    showError('Select between 2 and 4 scenarios to compare');
+    return;
+  }
+
+  const entries = loadSavedScenarios();
+  const columns = ids
+    .map(id => entries.find(entry => entry.id === id))
+    .filter(Boolean)
+    .map(entry => ({ entry, summary: summarizeSavedScenario(entry) }));
+
+  const rows = [
+    { key: 'monthlyPayment', label: 'Monthly Payment', format: formatCurrency },
+    { key: 'totalInterest', label: 'Total Interest / Profit', format: formatCurrency },
+    { key: 'upfrontCosts', label: 'Upfront Costs', format: formatCurrency },
+    { key: 'payoffDate', label: 'Payoff Date', format: date => date.toLocaleDateString('en-MY', { month: 'short', year: 'numeric' }) }
+  ];
+
+  // Highlight the lowest value (earliest date) in each row
+  const best = {};
+  rows.forEach(row => {
+    const values = columns.filter(col => col.summary).map(col => +col.summary[row.key]);
+    best[row.key] = Math.min(...values);
+  });
+
+  resultsDiv.innerHTML = `
+    <h3>Scenario Comparison</h3>
+    <div class="table-wrapper">
+      <table class="amortization-table">
+        <thead>
+          <tr>
+            <th></th>
+            ${columns.map(col => `<th>${escapeHTML(col.entry.name)}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(row => `
+            <tr>
+              <td>${row.label}</td>
+              ${columns.map(col => col.summary
+                ? `<td class="${+col.summary[row.key] === best[row.key] ? 'best-value' : ''}">${row.format(col.summary[row.key])}</td>`
+                : '<td>—</td>').join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+    <p class="text-muted" style="margin-top: var(--spacing-md);">
+      Upfront costs use each scenario's property price, or the price implied by its loan amount and loan margin.
+      Payoff dates assume the first instalment is due next month.
+    </p>
+  `;
+}
+
+function escapeHTML(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+// Main mortgage calculation
+function calculateMortgage() {
+  const params = parseMortgageInputs(collectScenario().inputs);
+
+  if (!params.loanAmount || !params.interestRate || !params.tenure) {
+    showError('Please fill in all required fields');
+    return;
+  }
+
+  if (params.propertyUse === 'investment' && !params.rental.monthlyRent) {
+    showError('Enter the expected rent for an investment property');
+    return;
+  }
+
+  if (params.disbursementMode === 'progressive') {
+    const billedPercent = params.billingStages.reduce((sum, stage) => sum + stage.percent, 0);
+    if (Math.abs(billedPercent - 100) > 0.01) {
+      showError(`Progress billing adds up to ${roundToTwoDecimals(billedPercent)}% of the price; it must total 100%`);
+      return;
+    }
+  }
+
+  const outcome = computeMortgageWithInsurance(params);
+  if (outcome.error) {
+    showError(outcome.error);
+    return;
+  }
+
+  const { results, schedule, scheduleType, displayRate, loanAmount, insuranceError } = outcome;
+  if (insuranceError) showError(insuranceError);
+
+  results.tenureCheck = validateTenure(
+    params.tenure, params.age, params.employmentType, getBankMaxTenure(params.bank)
+  );
+  results.marginCheck = checkMarginOfFinance(
+    params.propertyPrice ? (params.loanAmount / params.propertyPrice) * 100 : 0,
+    params.existingHousingLoans
+  );
+  results.propertyPrice = params.propertyPrice;
+
+  // Buy-to-let: cash flow alongside the schedule; the cash put in is the down payment and purchase costs
+  if (params.propertyUse === 'investment') {
+    const propertyPrice = params.propertyPrice || params.loanAmount / (MARGIN_OF_FINANCE.standard / 100);
+    const upfront = calculateTotalUpfrontCosts(
+      propertyPrice, params.loanAmount, false, false, results.insurance ? results.insurance.upfrontPremium : 0
+    );
+    results.rentalCashFlow = calculateRentalCashFlow(schedule, propertyPrice, upfront.totalCosts, {
+      ...params.rental,
+      startMonth: results.constructionMonths ? results.constructionMonths + 1 : 1
+    });
+  }
+
+  state.currentResults = results;
+  state.scheduleType = scheduleType;
+  state.amortizationData = schedule;
+
+  // Display results
+  displayMainResults(results, loanAmount, displayRate, params.tenure);
+  displayAmortizationTable();
+}
+
+// Read main calculator inputs from a scenario input map (see collectScenario)
+function parseMortgageInputs(inputs) {
+  const interestRate = parseFloat(inputs.interestRate);
+  const drawdownDate = inputs.drawdownDate ? new Date(`${inputs.drawdownDate}T00:00:00`) : null;
+
+  return {
+    loanType: inputs.loanType || 'conventional',
+    rateType: inputs.rateType || 'fixed',
+    islamicType: inputs.islamicType || 'mm',
+    loanAmount: parseFloat(inputs.loanAmount),
+    interestRate,
+    tenure: parseInt(inputs.tenure),
+    bank: inputs.bankSelect || 'custom',
+    propertyPrice: parseFloat(inputs.propertyPrice) || 0,
+    existingHousingLoans: parseInt(inputs.existingHousingLoans) || 0,
+    insuranceType: inputs.insuranceType || 'none',
+    insuranceCoverYears: parseInt(inputs.insuranceCoverYears) || 0,
+    jointLifeAge: parseInt(inputs.jointLifeAge) || 0,
+    financeInsurance: inputs.financeInsurance === '1',
+    disbursementMode: inputs.disbursementMode || 'full',
+    billingStages: decodeBillingStages(inputs.billingStages),
+    age: parseInt(inputs.borrowerAge) || 0,
+    employmentType: inputs.employmentType || 'employed',
+    drawdownDate,
+    paymentDay: Math.min(31, Math.max(1, parseInt(inputs.paymentDay) || (drawdownDate ? drawdownDate.getDate() : 1))),
+    interestRest: inputs.interestRest || 'monthly',
+    propertyUse: inputs.propertyUse || 'ownStay',
+    rental: {
+      monthlyRent: parseFloat(inputs.investRent) || 0,
+      vacancyRate: parseFloat(inputs.investVacancy) || 0,
+      maintenance: parseFloat(inputs.investMaintenance) || 0,
+      managementFeeRate: parseFloat(inputs.investManagementFee) || 0,
+      otherCosts: parseFloat(inputs.investOtherCosts) || 0,
+      otherIncome: parseFloat(inputs.investOtherIncome) || 0,
+      interestDeductible: inputs.investInterestDeductible !== '0'
+    },
+    baseRate: parseFloat(inputs.baseRate) || 0,
+    spread: parseFloat(inputs.rateSpread) || 0,
+    adjustMode: inputs.rateAdjustMode || 'fixedTenure',
+    rateChanges: parseNumberPairs(inputs.rateChanges)
+      .filter(([month]) => month >= 1)
+      .map(([month, baseRate]) => ({ month, baseRate })),
+    // Promotional tiers; the interest rate applies thereafter
+    tiers: [
+      ...parseNumberPairs(inputs.rateTiers)
+        .filter(([years]) => years >= 1)
+        .map(([years, rate]) => ({ years, rate })),
+      { rate: interestRate }
+    ],
+    ceilingRate: parseFloat(inputs.ceilingRate) || interestRate,
+    settlementMonth: parseInt(inputs.settlementMonth) || 0,
+    lockInYears: parseFloat(inputs.islamicLockIn) || 0,
+    settlementChargeRate: (parseFloat(inputs.islamicSettlementCharge) || 0) / 100,
+    transferPrice: parseFloat(inputs.transferPrice) || 0,
+    reviewInterval: parseInt(inputs.reviewInterval) || 0,
+    reviewRateChange: parseFloat(inputs.reviewRateChange) || 0
+  };
+}
+
+// Run the engine with any MRTA/MLTA premium; a financed premium is added to the principal
+function computeMortgageWithInsurance(params) {
+  const base = computeMortgage(params);
+  if (base.error || params.insuranceType === 'none') return { ...base, loanAmount: params.loanAmount };
+
+  const insurance = calculateMortgageInsurance(
+    params.loanAmount,
+    params.insuranceCoverYears || params.tenure,
+    [params.age, params.jointLifeAge].filter(age => age > 0),
+    params.insuranceType
+  );
+  if (!insurance.insurable) {
+    return { ...base, loanAmount: params.loanAmount, insuranceError: insurance.message };
+  }
+
+  const financed = params.financeInsurance;
+  const loanAmount = financed ? roundToTwoDecimals(params.loanAmount + insurance.premium) : params.loanAmount;
+  const outcome = financed ? computeMortgage({ ...params, loanAmount }) : base;
+
+  const baseInterest = base.results.totalInterest || base.results.totalProfit || base.results.totalRental;
+  const totalInterest = outcome.results.totalInterest || outcome.results.totalProfit || outcome.results.totalRental;
+
+  outcome.results.insurance = {
+    ...insurance,
+    financed,
+    baseLoanAmount: params.loanAmount,
+    baseMonthlyPayment: base.results.monthlyPayment,
+    monthlyPayment: outcome.results.monthlyPayment,
+    baseTotalInterest: baseInterest,
+    totalInterest,
+    extraInterest: roundToTwoDecimals(totalInterest - baseInterest),
+    upfrontPremium: financed ? 0 : insurance.premium
+  };
+
+  return { ...outcome, loanAmount };
+}
+
+// Run the main calculator engine for parsed inputs, dating the schedule when a drawdown date is given
+function computeMortgage(params) {
+  const { loanAmount, interestRate, tenure, drawdownDate, paymentDay } = params;
+  const wantsDailyRest = params.interestRest === 'daily';
+  const dailyRestEligible = params.loanType !== 'islamic' && params.rateType === 'fixed' &&
+    params.disbursementMode !== 'progressive';
+
+  if (wantsDailyRest && drawdownDate && dailyRestEligible) {
+    const daily = calculateDailyRestLoan(loanAmount, interestRate, tenure, drawdownDate, paymentDay);
+    return { results: daily, schedule: daily.schedule, scheduleType: 'conventional', displayRate: interestRate };
+  }
+
+  const outcome = runMortgageEngine(params);
+  if (outcome.error) return outcome;
+
+  if (drawdownDate) {
+    addDueDates(outcome.schedule, drawdownDate, paymentDay);
+    outcome.results.payoffDate = outcome.schedule[outcome.schedule.length - 1].dueDate;
+  }
+  if (wantsDailyRest) {
+    outcome.results.restNote = drawdownDate
+      ? 'Daily rest applies to fixed-rate conventional loans with full disbursement; interest shown on monthly rest.'
+      : 'Enter the first drawdown date to calculate interest on daily rest; interest shown on monthly rest.';
+  }
+  return outcome;
+}
+
+// Monthly-rest engines by loan, rate and disbursement type
+function runMortgageEngine(params) {
+  const { loanAmount, interestRate, tenure } = params;
+  const defaultScheduleType = params.loanType === 'islamic' ? 'islamic' : 'conventional';
+
+  // Under construction: progressive drawdown at the single rate entered
+  if (params.disbursementMode === 'progressive') {
+    const propertyPrice = params.propertyPrice || loanAmount / (MARGIN_OF_FINANCE.standard / 100);
+    const progressive = calculateProgressiveDisbursement(loanAmount, propertyPrice, interestRate, tenure, params.billingStages);
+    if (!progressive.feasible) return { error: progressive.message };
+
+    return {
+      results: progressive,
+      schedule: progressive.schedule,
+      scheduleType: params.loanType === 'islamic' ? 'progressiveIslamic' : 'progressive',
+      displayRate: interestRate
+    };
+  }
+
+  if (params.rateType === 'variable') {
+    const variable = generateVariableRateSchedule(
+      loanAmount, params.baseRate, params.spread, tenure, params.rateChanges, params.adjustMode
+    );
+    return {
+      results: variable.summary,
+      schedule: variable.schedule,
+      scheduleType: defaultScheduleType,
+      displayRate: variable.summary.initialRate
+    };
+  }
+
+  if (params.rateType === 'tiered') {
+    const tiered = calculateTieredRateLoan(loanAmount, params.tiers, tenure);
+    return { results: tiered, schedule: tiered.schedule, scheduleType: defaultScheduleType, displayRate: interestRate };
+  }
+
+  let results;
+  let scheduleType = defaultScheduleType;
+
+  if (params.loanType === 'islamic') {
+    if (params.islamicType === 'murabahah') {
+      results = calculateIslamicMurabahah(loanAmount, interestRate, tenure, params.ceilingRate);
+      scheduleType = 'murabahah';
+
+      if (params.settlementMonth > 0) {
+        results.settlement = calculateIbraSettlement(
+          results.schedule, params.settlementMonth, params.lockInYears * 12, params.settlementChargeRate
+        );
+      }
+    } else if (params.islamicType === 'ijarah') {
+      results = calculateIslamicIjarah(
+        loanAmount, interestRate, tenure, params.transferPrice, params.reviewInterval, params.reviewRateChange
+      );
+      scheduleType = 'ijarah';
+    } else {
+      // MM - using loan amount as bank's share, assume 10% customer contribution
+      const propertyValue = loanAmount / 0.9;
+      results = calculateIslamicMM(propertyValue, propertyValue * 0.1, interestRate, tenure);
+      scheduleType = 'mm';
+    }
+
+    results.structureComparison = compareIslamicStructures(loanAmount, interestRate, tenure, {
+      ceilingRate: params.ceilingRate,
+      transferPrice: params.transferPrice,
+      reviewIntervalYears: params.reviewInterval,
+      reviewRateChange: params.reviewRateChange
+    });
+  } else {
+    results = calculateMonthlyPayment(loanAmount, interestRate, tenure);
+  }
+
+  return {
+    results,
+    // Islamic engines produce their own schedules
+    schedule: results.schedule || generateAmortizationSchedule(loanAmount, interestRate, tenure),
+    scheduleType,
+    displayRate: interestRate
+  };
+}
+
+function displayMainResults(results, loanAmount, rate, tenure) {
+  const resultsDiv = document.getElementById('calculatorResults');
+  if (!resultsDiv) return;
+
+  const isIslamic = state.loanType === 'islamic';
+  const interestLabel = state.scheduleType === 'mm'
+    ? 'Total Rental'
+    : (isIslamic ? 'Total Profit' : 'Total Interest');
+  const rateLabel = isIslamic ? 'Profit Rate' : 'Interest Rate';
+
+  resultsDiv.innerHTML = `
+    ${results.tenureCheck && !results.tenureCheck.allowed ? `
+      <div class="recommendation negative">
+        <span class="recommendation-icon">!</span>
+        <span class="recommendation-text">Tenure not allowed: ${results.tenureCheck.message}</span>
+      </div>
+    ` : ''}
+
+    ${renderMarginNote(results.marginCheck, results.propertyPrice
+      ? `Maximum loan for this property: ${formatCurrency(results.propertyPrice * results.marginCheck.maxMargin / 100)}.`
+      : '')}
+
+    ${results.restNote ? `
+      <div class="info-note">${results.restNote}</div>
+    ` : ''}
+
+    <div class="results-grid">
+      <div class="result-card primary">
+        <span class="result-label">Monthly Payment</span>
+        <span class="result-value">${formatCurrency(results.monthlyPayment)}</span>
+      </div>
+      <div class="result-card">
+        <span class="result-label">Loan Amount</span>
+        <span class="result-value">${formatCurrency(loanAmount)}</span>
+      </div>
+      <div class="result-card">
+        <span class="result-label">${interestLabel}</span>
+        <span class="result-value">${formatCurrency(results.totalInterest || results.totalProfit || results.totalRental)}</span>
+      </div>
+      <div class="result-card">
+        <span class="result-label">Total Payment</span>
+        <span class="result-value">${formatCurrency(results.totalPayment || results.sellingPrice)}</span>
+      </div>
+      <div class="result-card">
+        <span class="result-label">${results.averageRate !== undefined ? `Effective Average ${rateLabel}` : rateLabel}</span>
+        <span class="result-value">${results.averageRate !== undefined ? results.averageRate : rate}% p.a.</span>
+      </div>
+      <div class="result-card">
+        <span class="result-label">Loan Tenure</span>
+        <span class="result-value">${results.totalMonths && results.totalMonths !== tenure * 12
+          ? `${results.totalYears} years (${results.totalMonths} months)`
+          : `${tenure} years (${tenure * 12} months)`}</span>
+      </div>
+      ${results.payoffDate ? `
+        <div class="result-card">
+          <span class="result-label">Payoff Date</span>
+          <span class="result-value">${formatDate(results.payoffDate)}</span>
+        </div>
+      ` : ''}
+    </div>
+
+    ${results.rentalCashFlow ? renderRentalCashFlow(results.rentalCashFlow, results.monthlyPayment) : ''}
+
+    ${results.type === 'Daily Rest' ? `
+      <div class="info-note">
+        Interest on daily rest: actual days between due dates ÷ 365. First instalment due
+        ${formatDate(results.firstDueDate)}; the final instalment settles the remaining balance.
+      </div>
+    ` : ''}
+
+    ${results.tiers ? `
+      <div class="summary-table">
+        <h4>Instalment by Tier</h4>
+        <table>
+          ${results.tiers.map(tier => `
+            <tr>
+              <td>${tier.label} @ ${tier.rate}% p.a.</td>
+              <td>${formatCurrency(tier.monthlyPayment)} / month</td>
+            </tr>
+          `).join('')}
+          <tr class="total-row">
+            <td><strong>${interestLabel}</strong></td>
+            <td><strong>${formatCurrency(results.totalInterest)}</strong></td>
+          </tr>
+        </table>
+      </div>
+    ` : ''}
+
+    ${results.disbursements ? `
+      <div class="summary-table">
+        <h4>Progressive Disbursement</h4>
+        <table>
+          ${results.disbursements.map(item => `
+            <tr>
+              <td>${item.label} (${item.percent}%)${item.month ? ` · month ${item.month}` : ''}</td>
+              <td>${item.drawdown > 0 ? formatCurrency(item.drawdown) : `Paid by buyer: ${formatCurrency(item.fromBuyer)}`}</td>
+            </tr>
+          `).join('')}
+          <tr>
+            <td>Interest-Only Payments (${results.interestOnly.months} months)</td>
+            <td>${formatCurrency(results.interestOnly.firstPayment)} → ${formatCurrency(results.interestOnly.lastPayment)}</td>
+          </tr>
+          ${results.paymentChanges.map(change => `
+            <tr>
+              <td>Full Instalment from Month ${change.month}</td>
+              <td>${formatCurrency(change.payment)}</td>
+            </tr>
+          `).join('')}
+          <tr class="total-row">
+            <td><strong>${isIslamic ? 'Profit' : 'Interest'} during Construction</strong></td>
+            <td><strong>${formatCurrency(results.interestOnly.totalInterest)}</strong></td>
+          </tr>
+        </table>
+      </div>
+    ` : ''}
+
+    ${results.paymentChanges && results.paymentChanges.length && !results.disbursements ? `
+      <div class="info-note">
+        <strong>Rate Change Timeline</strong>
+        <ul>
+          ${results.paymentChanges.map(change => `
+            <li>Month ${change.month}: rate ${change.rate}% p.a., instalment ${formatCurrency(change.payment)}</li>
+          `).join('')}
+        </ul>
+        ${results.extendedMonths > 0 ? `
+          <p>Keeping the instalment unchanged extends the loan by ${results.extendedMonths} months.</p>
+        ` : ''}
+      </div>
+    ` : ''}
+
+    ${isIslamic && results.type ? `
+      <div class="islamic-note">
+        <strong>${results.type}</strong>
+        <p>${results.note}</p>
+      </div>
+    ` : ''}
+
+    ${results.ceilingRate !== undefined ? `
+      <div class="summary-table">
+        <h4>Sale Price &amp; Ibra'</h4>
+        <table>
+          <tr>
+            <td>Ceiling Instalment (${results.ceilingRate}% p.a.)</td>
+            <td>${formatCurrency(results.ceilingInstalment)}</td>
+          </tr>
+          <tr>
+            <td>Effective Instalment (${results.effectiveRate}% p.a.)</td>
+            <td>${formatCurrency(results.monthlyPayment)}</td>
+          </tr>
+          <tr>
+            <td>Monthly Ibra'</td>
+            <td class="text-success">${formatCurrency(results.monthlyIbra)}</td>
+          </tr>
+          <tr>
+            <td>Contracted Sale Price</td>
+            <td>${formatCurrency(results.sellingPrice)}</td>
+          </tr>
+          <tr class="total-row">
+            <td><strong>Total Ibra' over Tenure</strong></td>
+            <td><strong>${formatCurrency(results.totalIbra)}</strong></td>
+          </tr>
+        </table>
+      </div>
+    ` : ''}
+
+    ${results.rentalReviews ? `
+      <div class="summary-table">
+        <h4>Rental Reviews &amp; Transfer</h4>
+        <table>
+          <tr>
+            <td>Initial Rental (${results.rentalRate}% p.a.)</td>
+            <td>${formatCurrency(results.monthlyPayment)}</td>
+          </tr>
+          ${results.rentalReviews.map(review => `
+            <tr>
+              <td>Review at Month ${review.month} (${review.rate}% p.a.)</td>
+              <td>${formatCurrency(review.payment)}</td>
+            </tr>
+          `).join('')}
+          <tr class="total-row">
+            <td><strong>Transfer / Purchase Price</strong></td>
+            <td><strong>${formatCurrency(results.transferPrice)}</strong></td>
+          </tr>
+        </table>
+      </div>
+    ` : ''}
+
+    ${results.structureComparison ? `
+      <div class="summary-table">
+        <h4>Islamic Structure Comparison</h4>
+        <table>
+          ${results.structureComparison.map(structure => `
+            <tr>
+              <td>${structure.type}</td>
+              <td>${formatCurrency(structure.monthlyPayment)} / month · Total ${formatCurrency(structure.totalCost)}</td>
+            </tr>
+          `).join('')}
+        </table>
+      </div>
+    ` : ''}
+
+    ${results.insurance ? `
+      <div class="summary-table">
+        <h4>Mortgage Insurance: ${results.insurance.label}</h4>
+        <table>
+          <tr>
+            <td>Sum Assured / Cover Term</td>
+            <td>${formatCurrency(results.insurance.sumAssured)} / ${results.insurance.coverYears} years</td>
+          </tr>
+          <tr>
+            <td>Insured ${results.insurance.jointLife ? 'Lives (Joint)' : 'Life'}</td>
+            <td>${results.insurance.lives.map(life => `Age ${life.age}`).join(' &amp; ')}</td>
+          </tr>
+          <tr>
+            <td>Single Premium${results.insurance.jointLife ? ' (after joint-life discount)' : ''}</td>
+            <td>${formatCurrency(results.insurance.premium)}</td>
+          </tr>
+          <tr>
+            <td>Premium Payment</td>
+            <td>${results.insurance.financed ? 'Financed into the loan' : 'Paid upfront'}</td>
+          </tr>
+          ${results.insurance.financed ? `
+            <tr>
+              <td>Monthly Instalment</td>
+              <td>${formatCurrency(results.insurance.baseMonthlyPayment)} → ${formatCurrency(results.insurance.monthlyPayment)}</td>
+            </tr>
+            <tr>
+              <td>${interestLabel}</td>
+              <td>${formatCurrency(results.insurance.baseTotalInterest)} → ${formatCurrency(results.insurance.totalInterest)}</td>
+            </tr>
+            <tr class="total-row">
+              <td><strong>Extra Interest from Financing the Premium</strong></td>
+              <td><strong>${formatCurrency(results.insurance.extraInterest)}</strong></td>
+            </tr>
+          ` : ''}
+        </table>
+      </div>
+    ` : ''}
+
+    ${results.settlement ? `
+      <div class="summary-table">
+        <h4>Early Settlement at Month ${results.settlement.settlementMonth}</h4>
+        <table>
+          <tr>
+            <td>Outstanding Sale Price</td>
+            <td>${formatCurrency(results.settlement.outstandingSalePrice)}</td>
+          </tr>
+          <tr>
+            <td>Deferred Profit</td>
+            <td>${formatCurrency(results.settlement.deferredProfit)}</td>
+          </tr>
+          <tr>
+            <td>Early Settlement Charge${results.settlement.withinLockIn ? ' (within lock-in)' : ''}</td>
+            <td>${formatCurrency(results.settlement.earlySettlementCharge)}</td>
+          </tr>
+          <tr>
+            <td>Ibra' Granted</td>
+            <td class="text-success">-${formatCurrency(results.settlement.ibra)}</td>
+          </tr>
+          <tr class="total-row">
+            <td><strong>Settlement Amount</strong></td>
+            <td><strong>${formatCurrency(results.settlement.settlementAmount)}</strong></td>
+          </tr>
+        </table>
+      </div>
+    ` : ''}
+
+    <div class="chart-section">
+      <div class="chart-container">
+        <canvas id="paymentChart" width="200" height="200"></canvas>
+      </div>
+      <div class="chart-legend">
+        <div class="legend-item">
+          <span class="legend-color principal"></span>
+          <span class="legend-text">Principal: ${((loanAmount / (results.totalPayment || results.sellingPrice)) * 100).toFixed(1)}%</span>
+        </div>
+        <div class="legend-item">
+          <span class="legend-color interest"></span>
+          <span class="legend-text">Interest: ${(((results.totalInterest || results.totalProfit || results.totalRental) / (results.totalPayment || results.sellingPrice)) * 100).toFixed(1)}%</span>
+        </div>
+      </div>
+    </div>
+  `;
+
+  // Draw chart
+  setTimeout(() => {
+    drawPaymentChart(loanAmount, results.totalInterest || results.totalProfit || results.totalRental);
+  }, 50);
+}
+
+// Amortization table columns per schedule type
+// aggregate: 'sum' adds monthly values for the yearly view, 'last' keeps the year-end value
+const SCHEDULE_COLUMNS = {
+  conventional: [
+    { key: 'payment', label: 'Payment', aggregate: 'sum' },
+    { key: 'principal', label: 'Principal', aggregate: 'sum' },
+    { key: 'interest', label: 'Interest', aggregate: 'sum' },
+    { key: 'balance', label: 'Balance', aggregate: 'last' },
+    { key: 'cumulativeInterest', label: 'Cumulative Interest', aggregate: 'last' }
+  ],
+  islamic: [
+    { key: 'payment', label: 'Payment', aggregate: 'sum' },
+    { key: 'principal', label: 'Principal', aggregate: 'sum' },
+    { key: 'interest', label: 'Profit', aggregate: 'sum' },
+    { key: 'balance', label: 'Balance', aggregate: 'last' },
+    { key: 'cumulativeInterest', label: 'Cumulative Profit', aggregate: 'last' }
+  ],
+  murabahah: [
+    { key: 'payment', label: 'Payment', aggregate: 'sum' },
+    { key: 'principal', label: 'Principal', aggregate: 'sum' },
+    { key: 'interest', label: 'Profit', aggregate: 'sum' },
+    { key: 'ibra', label: 'Ibra\'', aggregate: 'sum' },
+    { key: 'balance', label: 'Balance', aggregate: 'last' },
+    { key: 'outstandingSalePrice', label: 'Outstanding Sale Price', aggregate: 'last' }
+  ],
+  progressive: [
+    { key: 'drawdown', label: 'Drawdown', aggregate: 'sum' },
+    { key: 'payment', label: 'Payment', aggregate: 'sum' },
+    { key: 'principal', label: 'Principal', aggregate: 'sum' },
+    { key: 'interest', label: 'Interest', aggregate: 'sum' },
+    { key: 'balance', label: 'Balance', aggregate: 'last' },
+    { key: 'cumulativeInterest', label: 'Cumulative Interest', aggregate: 'last' }
+  ],
+  progressiveIslamic: [
+    { key: 'drawdown', label: 'Drawdown', aggregate: 'sum' },
+    { key: 'payment', label: 'Payment', aggregate: 'sum' },
+    { key: 'principal', label: 'Principal', aggregate: 'sum' },
+    { key: 'interest', label: 'Profit', aggregate: 'sum' },
+    { key: 'balance', label: 'Balance', aggregate: 'last' },
+    { key: 'cumulativeInterest', label: 'Cumulative Profit', aggregate: 'last' }
+  ],
+  ijarah: [
+    { key: 'payment', label: 'Rental', aggregate: 'sum' },
+    { key: 'principal', label: 'Cost Recovered', aggregate: 'sum' },
+    { key: 'interest', label: 'Profit', aggregate: 'sum' },
+    { key: 'balance', label: 'Unrecovered Cost', aggregate: 'last' },
+    { key: 'cumulativeInterest', label: 'Cumulative Profit', aggregate: 'last' }
+  ],
+  mm: [
+    { key: 'payment', label: 'Payment', aggregate: 'sum' },
+    { key: 'rental', label: 'Rental', aggregate: 'sum' },
+    { key: 'equityPurchased', label: 'Equity Purchased', aggregate: 'sum' },
+    { key: 'bankShare', label: 'Bank Share', aggregate: 'last' },
+    { key: 'customerOwnership', label: 'Your Ownership', aggregate: 'last', format: 'percent' }
+  ]
+};
+
+function getScheduleColumns() {
+  const columns = SCHEDULE_COLUMNS[state.scheduleType] || SCHEDULE_COLUMNS.conventional;
+  const first = state.amortizationData[0] || {};
+  const leading = [];
+
+  if (first.days !== undefined) leading.push({ key: 'days', label: 'Days', aggregate: 'sum', format: 'count' });
+  if (first.rate !== undefined) leading.push({ key: 'rate', label: 'Rate', aggregate: 'last', format: 'percent' });
+
+  // Buy-to-let cash flow alongside the loan
+  const cashFlow = first.netCashFlow !== undefined ? [
+    { key: 'rentCollected', label: 'Rent Collected', aggregate: 'sum' },
+    { key: 'expenses', label: 'Running Costs', aggregate: 'sum' },
+    { key: 'rentalTax', label: 'Rental Tax', aggregate: 'sum' },
+    { key: 'netCashFlow', label: 'Net Cash Flow', aggregate: 'sum' },
+    { key: 'cumulativeCashFlow', label: 'Cumulative Cash Flow', aggregate: 'last' }
+  ] : [];
+
+  return [...leading, ...columns, ...cashFlow];
+}
+
+function formatScheduleValue(value, column) {
+  if (column.format === 'percent') return `${value}%`;
+  if (column.format === 'count') return value;
+  return formatCurrency(value);
+}
+
+// Buy-to-let returns for the first full year let
+function renderRentalCashFlow(cashFlow, monthlyPayment) {
+  const gearing = cashFlow.negativeGearing;
+  const firstYear = cashFlow.years.find(year => year.year === cashFlow.firstLetYear);
+
+  return `
+    <div class="summary-table">
+      <h4>Buy-to-Let Returns${cashFlow.firstLetYear > 1 ? ` (Year ${cashFlow.firstLetYear}, First Full Year Let)` : ''}</h4>
+      <div class="results-grid">
+        <div class="result-card">
+          <span class="result-label">Gross Yield</span>
+          <span class="result-value">${cashFlow.grossYield}%</span>
+        </div>
+        <div class="result-card">
+          <span class="result-label">Net Yield</span>
+          <span class="result-value">${cashFlow.netYield}%</span>
+        </div>
+        <div class="result-card">
+          <span class="result-label">Cash-on-Cash Return</span>
+          <span class="result-value">${cashFlow.cashOnCash === null ? '—' : `${cashFlow.cashOnCash}%`}</span>
+        </div>
+        <div class="result-card">
+          <span class="result-label">Monthly Cash Flow</span>
+          <span class="result-value ${cashFlow.monthlyCashFlow < 0 ? 'text-warning' : 'text-success'}">${formatCurrency(cashFlow.monthlyCashFlow)}</span>
+        </div>
+      </div>
+      <table>
+        <tr>
+          <td>Rent Collected (after vacancy)</td>
+          <td>${formatCurrency(cashFlow.monthlyRentCollected)} / month</td>
+        </tr>
+        <tr>
+          <td>Maintenance, Management &amp; Other Costs</td>
+          <td>${formatCurrency(cashFlow.monthlyExpenses)} / month</td>
+        </tr>
+        <tr>
+          <td>Loan Instalment</td>
+          <td>${formatCurrency(monthlyPayment)} / month</td>
+        </tr>
+        <tr>
+          <td>Tax on Rental Income</td>
+          <td>${formatCurrency(firstYear.tax)} / year</td>
+        </tr>
+        <tr class="total-row">
+          <td><strong>Net Cash Flow</strong></td>
+          <td><strong>${formatCurrency(firstYear.cashFlow)} / year</strong></td>
+        </tr>
+        <tr>
+          <td>Cash Invested (down payment &amp; costs)</td>
+          <td>${formatCurrency(cashFlow.cashInvested)}</td>
+        </tr>
+      </table>
+    </div>
+
+    ${gearing.geared ? `
+      <div class="recommendation negative">
+        <span class="recommendation-icon">!</span>
+        <span class="recommendation-text">
+          Negatively geared: the rent falls ${formatCurrency(gearing.monthlyShortfall)} a month short of the loan and costs,
+          ${formatCurrency(gearing.totalShortfall)} over ${gearing.years} year${gearing.years === 1 ? '' : 's'}.
+          ${gearing.firstYearRentalLoss > 0
+            ? `The ${formatCurrency(gearing.firstYearRentalLoss)} rental loss earns no tax relief against your other income.`
+            : ''}
+        </span>
+      </div>
+    ` : ''}
+  `;
+}
+
+function displayAmortizationTable() {
+  const tableContainer = document.getElementById('amortizationTable');
+  if (!tableContainer || !state.amortizationData.length) return;
+
+  const viewMode = document.getElementById('amortizationView')?.value || 'yearly';
+  const columns = getScheduleColumns();
+
+  let data = state.amortizationData;
+
+  // Aggregate yearly if needed
+  if (viewMode === 'yearly') {
+    data = aggregateYearly(state.amortizationData, columns);
+  }
+
+  const isMonthly = viewMode === 'monthly';
+  const hasDates = Boolean(state.amortizationData[0].dueDate);
+
+  tableContainer.innerHTML = `
+    <div class="table-controls">
+      <select id="amortizationView" onchange="displayAmortizationTable()">
+        <option value="yearly" ${viewMode === 'yearly' ? 'selected' : ''}>Yearly Summary</option>
+        <option value="monthly" ${viewMode === 'monthly' ? 'selected' : ''}>Monthly Detail</option>
+      </select>
+      <button type="button" class="btn-secondary" onclick="exportToCSV()">
+        <span class="icon">↓</span> Export CSV
+      </button>
+      <button type="button" class="btn-secondary" onclick="printAmortization()">
+        <span class="icon">🖨</span> Print
+      </button>
+    </div>
+
+    <div class="table-wrapper">
+      <table class="amortization-table">
+        <thead>
+          <tr>
+            <th>${isMonthly ? 'Month' : 'Year'}</th>
+            ${hasDates ? `<th>${isMonthly ? 'Due Date' : 'Last Due Date'}</th>` : ''}
+            ${columns.map(column => `<th>${column.label}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${data.map(row => `
+            <tr class="${row.rateChanged ? 'rate-change' : ''}">
+              <td>${isMonthly ? row.month : row.year}${row.rateChanged ? '<span class="rate-change-marker" title="Instalment changed">Δ</span>' : ''}</td>
+              ${hasDates ? `<td>${formatDate(row.dueDate)}</td>` : ''}
+              ${columns.map(column => `<td>${formatScheduleValue(row[column.key], column)}</td>`).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+function aggregateYearly(monthlyData, columns = getScheduleColumns()) {
+  const yearly = {};
+
+  monthlyData.forEach(row => {
+    if (!yearly[row.year]) {
+      yearly[row.year] = { year: row.year, rateChanged: false };
+      columns.forEach(column => {
+        yearly[row.year][column.key] = 0;
+      });
+    }
+
+    columns.forEach(column => {
+      if (column.aggregate === 'sum') {
+        yearly[row.year][column.key] += row[column.key];
+      } else {
+        yearly[row.year][column.key] = row[column.key];
+      }
+    });
+    yearly[row.year].rateChanged = yearly[row.year].rateChanged || Boolean(row.rateChanged);
+    if (row.dueDate) yearly[row.year].dueDate = row.dueDate;
+  });
+
+  return Object.values(yearly);
+}
+
+// Bank comparison
+function getComparableBanks() {
+  const loanType = document.getElementById('compareLoanType')?.value || 'all';
+  if (loanType === 'all') {
+    return [...MALAYSIAN_BANKS.conventional, ...MALAYSIAN_BANKS.islamic];
+  }
+  return MALAYSIAN_BANKS[loanType] || [];
+}
+
+function renderCompareBankList() {
+  const list = document.getElementById('compareBankList');
+  if (!list) return;
+
+  list.innerHTML = getComparableBanks().map((bank, index) => `
+    <div class="checkbox-group">
+      <input type="checkbox" id="compareBank${index}" class="compare-bank" value="${bank.name}" checked>
+      <label for="compareBank${index}">${bank.name}</label>
+    </div>
+  `).join('');
+}
+
+function calculateBankComparison() {
+  const loanAmount = parseFloat(document.getElementById('compareLoanAmount').value);
+  const tenure = parseInt(document.getElementById('compareTenure').value);
+
+  if (!loanAmount || !tenure) {
+    showError('Please fill in loan amount and tenure');
+    return;
+  }
+
+  const selected = Array.from(document.querySelectorAll('.compare-bank:checked')).map(input => input.value);
+  const banks = getComparableBanks().filter(bank => selected.includes(bank.name));
+
+  if (!banks.length) {
+    showError('Please select at least one bank');
+    return;
+  }
+
+  state.bankComparison.rows = compareBanks(loanAmount, tenure, banks);
+  displayBankComparison();
+}
+
+function sortBankComparison(key) {
+  const comparison = state.bankComparison;
+  if (comparison.sortKey === key) {
+    comparison.sortDir = comparison.sortDir === 'asc' ? 'desc' : 'asc';
+  } else {
+    comparison.sortKey = key;
+    comparison.sortDir = 'asc';
+  }
+  displayBankComparison();
+}
+
+function displayBankComparison() {
+  const resultsDiv = document.getElementById('compareBanksResults');
+  if (!resultsDiv) return;
+
+  const { rows, sortKey, sortDir } = state.bankComparison;
+  const direction = sortDir === 'asc' ? 1 : -1;
+  const sorted = [...rows].sort((a, b) => {
+    const x = a[sortKey];
+    const y = b[sortKey];
+    if (typeof x === 'string') return x.localeCompare(y) * direction;
+    return (x - y) * direction;
+  });
+
+  const columns = [
+    { key: 'name', label: 'Bank' },
+    { key: 'promoRate', label: 'Rate' },
+    { key: 'monthlyPayment', label: 'Monthly Instalment' },
+    { key: 'totalInterest', label: 'Total Interest' },
+    { key: 'lockInYears', label: 'Lock-in' },
+    { key: 'minLoan', label: 'Min Loan' },
+    { key: 'maxTenure', label: 'Max Tenure' },
+    { key: 'eligible', label: 'Eligibility' }
+  ];
+  const arrow = key => key === sortKey ? (sortDir === 'asc' ? ' ▲' : ' ▼') : '';
+  const eligibleCount = rows.filter(row => row.eligible).length;
+
+  resultsDiv.innerHTML = `
+    <h3>Comparison Results</h3>
+    <p class="text-muted" style="margin-bottom: var(--spacing-md);">
+      ${eligibleCount} of ${rows.length} banks eligible. Click a column heading to sort.
+    </p>
+
+    <div class="table-wrapper">
+      <table class="amortization-table">
+        <thead>
+          <tr>
+            ${columns.map(column => `
+              <th class="sortable" onclick="sortBankComparison('${column.key}')">${column.label}${arrow(column.key)}</th>
+            `).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${sorted.map(row => `
+            <tr class="${row.eligible ? '' : 'ineligible'}">
+              <td>${row.name}${row.product ? `<br><small>${row.product}</small>` : ''}</td>
+              <td>${row.promoRate}%${row.promoRate !== row.rate ? `<br><small>then ${row.rate}%</small>` : ''}</td>
+              <td>${formatCurrency(row.monthlyPayment)}</td>
+              <td>${formatCurrency(row.totalInterest)}</td>
+              <td>${row.lockInYears} years</td>
+              <td>${formatCurrency(row.minLoan)}</td>
+              <td>${row.maxTenure} years</td>
+              <td>
+                ${row.eligible
+                  ? '<span class="eligibility-flag ok">Eligible</span>'
+                  : `<span class="eligibility-flag fail">Ineligible</span><br><small>${row.issues.join(', ')}</small>`}
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+// Extra payments calculation
+function calculateExtraPayments() {
+  const loanAmount = parseFloat(document.getElementById('extraLoanAmount').value);
+  const rate = parseFloat(document.getElementById('extraRate').value);
+  const tenure = parseInt(document.getElementById('extraTenure').value);
+  const extraMonthly = parseFloat(document.getElementById('extraMonthlyPayment').value) || 0;
+  const lumpSum = parseFloat(document.getElementById('lumpSumPayment').value) || 0;
+  const lumpSumMonth = parseInt(document.getElementById('lumpSumMonth').value) || 1;
+
+  if (!loanAmount || !rate || !tenure) {
+    showError('Please fill in loan details');
+    return;
+  }
+
+  const mode = document.getElementById('prepaymentMode').value;
+  const rules = getPrepaymentRules();
+  const outcomes = Object.keys(PREPAYMENT_MODES).map(key =>
+    calculateExtraPaymentImpact(loanAmount, rate, tenure, extraMonthly, lumpSum, lumpSumMonth, rules, key)
+  );
+  const results = outcomes.find(outcome => outcome.mode === mode) || outcomes[0];
+  state.extraPaymentSchedule = results.schedule;
+  state.extraPaymentMode = results.mode;
+
+  displayExtraPaymentResults(results, outcomes);
+}
+
+function displayExtraPaymentResults(results, outcomes = [results]) {
+  const resultsDiv = document.getElementById('extraPaymentResults');
+  if (!resultsDiv) return;
+
+  const isReduceInstalment = results.mode === 'reduceInstalment';
+
+  resultsDiv.innerHTML = `
+    <h3>Extra Payment Analysis: ${PREPAYMENT_MODES[results.mode].label}</h3>
+
+    <div class="comparison-grid">
+      <div class="comparison-column">
+        <h4>Without Extra Payments</h4>
+        <div class="stat">
+          <span class="stat-label">Monthly Payment</span>
+          <span class="stat-value">${formatCurrency(results.original.monthlyPayment)}</span>
+        </div>
+        <div class="stat">
+          <span class="stat-label">Total Interest</span>
+          <span class="stat-value">${formatCurrency(results.original.totalInterest)}</span>
+        </div>
+        <div class="stat">
+          <span class="stat-label">Loan Duration</span>
+          <span class="stat-value">${results.original.totalYears} years</span>
+        </div>
+        <div class="stat">
+          <span class="stat-label">Total Payment</span>
+          <span class="stat-value">${formatCurrency(results.original.totalPayment)}</span>
+        </div>
+      </div>
+
+      <div class="comparison-column highlight">
+        <h4>With Extra Payments</h4>
+        <div class="stat">
+          <span class="stat-label">${isReduceInstalment ? 'Instalment' : 'Monthly Payment'}</span>
+          <span class="stat-value">${isReduceInstalment
+            ? `${formatCurrency(results.original.monthlyPayment)} → ${formatCurrency(results.withExtraPayments.finalInstalment)}`
+            : formatCurrency(results.withExtraPayments.monthlyPayment)}</span>
+        </div>
+        <div class="stat">
+          <span class="stat-label">Total Interest</span>
+          <span class="stat-value">${formatCurrency(results.withExtraPayments.totalInterest)}</span>
+        </div>
+        <div class="stat">
+          <span class="stat-label">Loan Duration</span>
+          <span class="stat-value">${results.withExtraPayments.totalYears} years</span>
+        </div>
+        <div class="stat">
+          <span class="stat-label">Total Payment</span>
+          <span class="stat-value">${formatCurrency(results.withExtraPayments.totalPayment)}</span>
+        </div>
+      </div>
+    </div>
+
+    <div class="savings-summary">
+      <h4>Your Savings</h4>
+      <div class="savings-grid">
+        <div class="saving-item">
+          <span class="saving-value text-success">${formatCurrency(results.savings.interestSaved)}</span>
+          <span class="saving-label">Interest Saved</span>
+        </div>
+        <div class="saving-item">
+          <span class="saving-value text-success">${results.savings.yearsSaved} years</span>
+          <span class="saving-label">Time Saved</span>
+        </div>
+        <div class="saving-item">
+          <span class="saving-value text-success">${results.savings.monthsSaved} months</span>
+          <span class="saving-label">Months Earlier</span>
+        </div>
+        <div class="saving-item">
+          <span class="saving-value">${formatCurrency(results.withExtraPayments.totalPrepaid)}</span>
+          <span class="saving-label">Total Prepaid</span>
+        </div>
+      </div>
+    </div>
+
+    ${outcomes.length > 1 ? renderPrepaymentModeComparison(outcomes, results.mode) : ''}
+
+    <h4 style="margin: var(--spacing-xl) 0 var(--spacing-md);">Schedule with Prepayments</h4>
+    <div id="extraPaymentSchedule"></div>
+  `;
+
+  displayExtraPaymentSchedule();
+}
+
+// Side-by-side outcome of each prepayment mode, measured against reducing the tenure
+function renderPrepaymentModeComparison(outcomes, selectedMode) {
+  const baseline = outcomes.find(outcome => outcome.mode === 'reduceTenure') || outcomes[0];
+  const bestSaving = Math.max(...outcomes.map(outcome => outcome.savings.interestSaved));
+
+  return `
+    <h4 style="margin: var(--spacing-xl) 0 var(--spacing-md);">Prepayment Modes Compared</h4>
+    <div class="table-wrapper">
+      <table class="amortization-table">
+        <thead>
+          <tr>
+            <th>Mode</th>
+            <th>Instalment</th>
+            <th>Loan Duration</th>
+            <th>Interest Saved</th>
+            <th>vs Reduce Tenure</th>
+            <th>Redrawable at End</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${outcomes.map(outcome => {
+            const tradeOff = outcome.savings.interestSaved - baseline.savings.interestSaved;
+            return `
+              <tr>
+                <td>
+                  ${outcome.mode === selectedMode ? '<strong>' : ''}${PREPAYMENT_MODES[outcome.mode].label}${outcome.mode === selectedMode ? '</strong>' : ''}
+                  <br><small class="text-muted">${PREPAYMENT_MODES[outcome.mode].note}</small>
+                </td>
+                <td>${outcome.mode === 'reduceInstalment'
+                  ? `${formatCurrency(outcome.original.monthlyPayment)} → ${formatCurrency(outcome.withExtraPayments.finalInstalment)}`
+                  : formatCurrency(outcome.original.monthlyPayment)}</td>
+                <td>${outcome.withExtraPayments.totalYears} years</td>
+                <td class="${outcome.savings.interestSaved === bestSaving ? 'best-value' : ''}">${formatCurrency(outcome.savings.interestSaved)}</td>
+                <td class="${tradeOff < 0 ? 'text-warning' : ''}">${outcome === baseline ? '—' : formatCurrency(tradeOff)}</td>
+                <td>${formatCurrency(outcome.withExtraPayments.redrawBalance)}</td>
+              </tr>
+            `;
+          }).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+// Flexi prepayments are deposits into the redraw account rather than principal paid
+function getExtraPaymentColumns() {
+  const isFlexi = state.extraPaymentMode === 'flexiOffset';
+  return [
+    { key: 'payment', label: 'Instalment', aggregate: 'sum' },
+    { key: 'prepayment', label: isFlexi ? 'Deposited' : 'Prepayment', aggregate: 'sum' },
+    { key: 'principal', label: 'Principal', aggregate: 'sum' },
+    { key: 'interest', label: 'Interest', aggregate: 'sum' },
+    { key: 'balance', label: 'Balance', aggregate: 'last' },
+    ...(isFlexi ? [{ key: 'offset', label: 'Redraw Balance', aggregate: 'last' }] : []),
+    { key: 'cumulativeInterest', label: 'Cumulative Interest', aggregate: 'last' }
+  ];
+}
+
+function displayExtraPaymentSchedule() {
+  const container = document.getElementById('extraPaymentSchedule');
+  if (!container || !state.extraPaymentSchedule.length) return;
+
+  const viewMode = document.getElementById('extraScheduleView')?.value || 'yearly';
+  const isMonthly = viewMode === 'monthly';
+  const columns = getExtraPaymentColumns();
+  const data = isMonthly
+    ? state.extraPaymentSchedule
+    : aggregateYearly(state.extraPaymentSchedule, columns);
+
+  container.innerHTML = `
+    <div class="table-controls">
+      <select id="extraScheduleView" onchange="displayExtraPaymentSchedule()">
+        <option value="yearly" ${isMonthly ? '' : 'selected'}>Yearly Summary</option>
+        <option value="monthly" ${isMonthly ? 'selected' : ''}>Monthly Detail</option>
+      </select>
+    </div>
+
+    <div class="table-wrapper">
+      <table class="amortization-table">
+        <thead>
+          <tr>
+            <th>${isMonthly ? 'Month' : 'Year'}</th>
+            ${columns.map(column => `<th>${column.label}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${data.map(row => `
+            <tr>
+              <td>${isMonthly ? row.month : row.year}</td>
+              ${columns.map(column => `<td>${formatScheduleValue(row[column.key], column)}</td>`).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+// Flexi loan simulation
+function simulateFlexiLoan() {
+  const loanAmount = parseFloat(document.getElementById('flexiLoanAmount').value);
+  const rate = parseFloat(document.getElementById('flexiRate').value);
+  const tenure = parseInt(document.getElementById('flexiTenure').value);
+
+  if (!loanAmount || !rate || !tenure) {
+    showError('Please fill in loan details');
+    return;
+  }
+
+  const results = calculateFlexiLoan(loanAmount, rate, tenure, getFlexiPlan(), {
+    type: document.getElementById('flexiType').value,
+    annualFee: parseFloat(document.getElementById('flexiAnnualFee').value) || 0,
+    redrawFee: parseFloat(document.getElementById('flexiRedrawFee').value) || 0
+  });
+  state.flexiSchedule = results.schedule;
+
+  displayFlexiLoanResults(results);
+}
+
+function displayFlexiLoanResults(results) {
+  const resultsDiv = document.getElementById('flexiLoanResults');
+  if (!resultsDiv) return;
+
+  const facility = FLEXI_LOAN_TYPES[results.type];
+
+  resultsDiv.innerHTML = `
+    <h3>Flexi Loan Simulation: ${facility.label}</h3>
 
     <div class="comparison-grid">
       <div class="comparison-column">
-        <h4>Without Extra Payments</h4>
+        <h4>Term Loan</h4>
         <div class="stat">
           <span class="stat-label">Monthly Payment</span>
-          <span class="stat-value">${formatCurrency(results.original.monthlyPayment)}</span>
+          <span class="stat-value">${formatCurrency(results.monthlyPayment)}</span>
         </div>
         <div class="stat">
           <span class="stat-label">Total Interest</span>
-          <span class="stat-value">${formatCurrency(results.original.totalInterest)}</span>
+          <span class="stat-value">${formatCurrency(results.term.totalInterest)}</span>
         </div>
         <div class="stat">
           <span class="stat-label">Loan Duration</span>
-          <span class="stat-value">${results.original.totalYears} years</span>
-        </div>
-        <div class="stat">
-          <span class="stat-label">Total Payment</span>
-          <span class="stat-value">${formatCurrency(results.original.totalPayment)}</span>
+          <span class="stat-value">${results.term.totalYears} years</span>
         </div>
       </div>
 
       <div class="comparison-column highlight">
-        <h4>With Extra Payments</h4>
+        <h4>${facility.label}</h4>
         <div class="stat">
           <span class="stat-label">Monthly Payment</span>
-          <span class="stat-value">${formatCurrency(results.withExtraPayments.monthlyPayment)}</span>
+          <span class="stat-value">${formatCurrency(results.monthlyPayment)}</span>
         </div>
         <div class="stat">
           <span class="stat-label">Total Interest</span>
-          <span class="stat-value">${formatCurrency(results.withExtraPayments.totalInterest)}</span>
+          <span class="stat-value">${formatCurrency(results.flexi.totalInterest)}</span>
         </div>
         <div class="stat">
           <span class="stat-label">Loan Duration</span>
-          <span class="stat-value">${results.withExtraPayments.totalYears} years</span>
+          <span class="stat-value">${results.flexi.totalYears} years</span>
         </div>
         <div class="stat">
-          <span class="stat-label">Total Payment</span>
-          <span class="stat-value">${formatCurrency(results.withExtraPayments.totalPayment)}</span>
+          <span class="stat-label">Flexi Fees</span>
+          <span class="stat-value">${formatCurrency(results.flexi.totalFees)}</span>
         </div>
       </div>
     </div>
 
     <div class="savings-summary">
-      <h4>Your Savings</h4>
+      <h4>Flexi vs Term Loan</h4>
       <div class="savings-grid">
         <div class="saving-item">
           <span class="saving-value text-success">${formatCurrency(results.savings.interestSaved)}</span>
           <span class="saving-label">Interest Saved</span>
         </div>
         <div class="saving-item">
-          <span class="saving-value text-success">${results.savings.yearsSaved} years</span>
-          <span class="saving-label">Time Saved</span>
+          <span class="saving-value ${results.savings.netSaving >= 0 ? 'text-success' : 'text-warning'}">${formatCurrency(results.savings.netSaving)}</span>
+          <span class="saving-label">Saved after Fees</span>
         </div>
         <div class="saving-item">
           <span class="saving-value text-success">${results.savings.monthsSaved} months</span>
           <span class="saving-label">Months Earlier</span>
         </div>
+        <div class="saving-item">
+          <span class="saving-value">${formatCurrency(results.flexi.redrawBalance)}</span>
+          <span class="saving-label">Redrawable at End</span>
+        </div>
+      </div>
+    </div>
+
+    ${results.savings.netSaving < 0 ? `
+      <div class="recommendation negative">
+        <span class="recommendation-icon">!</span>
+        <span class="recommendation-text">The flexi fees outweigh the interest saved; a term loan is cheaper for this plan.</span>
+      </div>
+    ` : ''}
+
+    <div class="summary-table">
+      <h4>Redraw Balance</h4>
+      <div class="line-chart">
+        <canvas id="flexiRedrawChart"></canvas>
+      </div>
+      <table>
+        <tr>
+          <td>Deposited</td>
+          <td>${formatCurrency(results.flexi.totalDeposited)}</td>
+        </tr>
+        <tr>
+          <td>Withdrawn</td>
+          <td>${formatCurrency(results.flexi.totalWithdrawn)}</td>
+        </tr>
+        <tr>
+          <td>Peak Redraw Balance</td>
+          <td>${formatCurrency(results.flexi.peakRedraw)}</td>
+        </tr>
+      </table>
+      <p class="text-muted">${facility.note}</p>
+    </div>
+
+    <h4 style="margin: var(--spacing-xl) 0 var(--spacing-md);">Flexi Schedule</h4>
+    <div id="flexiSchedule"></div>
+  `;
+
+  displayFlexiSchedule();
+
+  setTimeout(() => {
+    drawSavingsChart('flexiRedrawChart', results.schedule.map(row => row.redraw));
+  }, 50);
+}
+
+const FLEXI_SCHEDULE_COLUMNS = [
+  { key: 'payment', label: 'Instalment', aggregate: 'sum' },
+  { key: 'deposit', label: 'Deposited', aggregate: 'sum' },
+  { key: 'withdrawal', label: 'Withdrawn', aggregate: 'sum' },
+  { key: 'interest', label: 'Interest', aggregate: 'sum' },
+  { key: 'fee', label: 'Fees', aggregate: 'sum' },
+  { key: 'balance', label: 'Loan Balance', aggregate: 'last' },
+  { key: 'redraw', label: 'Redraw Balance', aggregate: 'last' }
+];
+
+function displayFlexiSchedule() {
+  const container = document.getElementById('flexiSchedule');
+  if (!container || !state.flexiSchedule.length) return;
+
+  const isMonthly = document.getElementById('flexiScheduleView')?.value === 'monthly';
+  const data = isMonthly
+    ? state.flexiSchedule
+    : aggregateYearly(state.flexiSchedule, FLEXI_SCHEDULE_COLUMNS);
+
+  container.innerHTML = `
+    <div class="table-controls">
+      <select id="flexiScheduleView" onchange="displayFlexiSchedule()">
+        <option value="yearly" ${isMonthly ? '' : 'selected'}>Yearly Summary</option>
+        <option value="monthly" ${isMonthly ? 'selected' : ''}>Monthly Detail</option>
+      </select>
+    </div>
+
+    <div class="table-wrapper">
+      <table class="amortization-table">
+        <thead>
+          <tr>
+            <th>${isMonthly ? 'Month' : 'Year'}</th>
+            ${FLEXI_SCHEDULE_COLUMNS.map(column => `<th>${column.label}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${data.map(row => `
+            <tr>
+              <td>${isMonthly ? row.month : row.year}</td>
+              ${FLEXI_SCHEDULE_COLUMNS.map(column => `<td>${formatScheduleValue(row[column.key], column)}</td>`).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+// Payment holiday and arrears
+function calculatePaymentHoliday() {
+  const loanAmount = parseFloat(document.getElementById('holidayLoanAmount').value);
+  const rate = parseFloat(document.getElementById('holidayRate').value);
+  const tenure = parseInt(document.getElementById('holidayTenure').value);
+
+  if (!loanAmount || !rate || !tenure) {
+    showError('Please fill in loan details');
+    return;
+  }
+
+  const events = getDisruptions();
+  if (!events.length) {
+    showError('Add a payment holiday or missed payments');
+    return;
+  }
+
+  const results = calculatePaymentDisruption(loanAmount, rate, tenure, events, {
+    capitaliseInterest: document.getElementById('holidayInterest').value === 'capitalise',
+    adjust: document.getElementById('holidayAdjust').value,
+    lateChargeRate: parseFloat(document.getElementById('lateChargeRate').value) || 0
+  });
+
+  if (!results.feasible) {
+    showError(results.message);
+    return;
+  }
+
+  state.holidaySchedule = results.schedule;
+  displayPaymentHolidayResults(results);
+}
+
+function displayPaymentHolidayResults(results) {
+  const resultsDiv = document.getElementById('paymentHolidayResults');
+  if (!resultsDiv) return;
+
+  const instalmentRaised = results.monthlyPayment !== results.baseline.monthlyPayment;
+
+  resultsDiv.innerHTML = `
+    <h3>Cost of ${results.deferredMonths} Month${results.deferredMonths === 1 ? '' : 's'} without Payments</h3>
+
+    <div class="comparison-grid">
+      <div class="comparison-column">
+        <h4>Paid on Schedule</h4>
+        <div class="stat">
+          <span class="stat-label">Monthly Payment</span>
+          <span class="stat-value">${formatCurrency(results.baseline.monthlyPayment)}</span>
+        </div>
+        <div class="stat">
+          <span class="stat-label">Total Interest</span>
+          <span class="stat-value">${formatCurrency(results.baseline.totalInterest)}</span>
+        </div>
+        <div class="stat">
+          <span class="stat-label">Loan Duration</span>
+          <span class="stat-value">${results.baseline.totalMonths} months</span>
+        </div>
+      </div>
+
+      <div class="comparison-column highlight">
+        <h4>With Holidays &amp; Arrears</h4>
+        <div class="stat">
+          <span class="stat-label">${instalmentRaised ? 'New Monthly Payment' : 'Monthly Payment'}</span>
+          <span class="stat-value">${formatCurrency(results.monthlyPayment)}</span>
+        </div>
+        <div class="stat">
+          <span class="stat-label">Total Interest</span>
+          <span class="stat-value">${formatCurrency(results.totalInterest)}</span>
+        </div>
+        <div class="stat">
+          <span class="stat-label">Loan Duration</span>
+          <span class="stat-value">${results.totalMonths} months</span>
+        </div>
+        <div class="stat">
+          <span class="stat-label">Late Charges</span>
+          <span class="stat-value">${formatCurrency(results.totalCharges)}</span>
+        </div>
+      </div>
+    </div>
+
+    <div class="savings-summary">
+      <h4>Extra Cost</h4>
+      <div class="savings-grid">
+        <div class="saving-item">
+          <span class="saving-value text-warning">${formatCurrency(results.extraInterest)}</span>
+          <span class="saving-label">Extra Interest</span>
+        </div>
+        <div class="saving-item">
+          <span class="saving-value text-warning">${formatCurrency(results.totalCharges)}</span>
+          <span class="saving-label">Late Charges</span>
+        </div>
+        <div class="saving-item">
+          <span class="saving-value text-warning">${formatCurrency(results.extraCost)}</span>
+          <span class="saving-label">Total Extra Cost</span>
+        </div>
+        <div class="saving-item">
+          <span class="saving-value">${instalmentRaised
+            ? `+${formatCurrency(results.monthlyPayment - results.baseline.monthlyPayment)}`
+            : `${results.extendedMonths} months`}</span>
+          <span class="saving-label">${instalmentRaised ? 'Higher Instalment' : 'Added to Tenure'}</span>
+        </div>
+      </div>
+    </div>
+
+    ${results.paymentChanges.length ? `
+      <div class="info-note">
+        <strong>Payments Resume</strong>
+        <ul>
+          ${results.paymentChanges.map(change => `
+            <li>Month ${change.month}: instalment ${formatCurrency(change.payment)}</li>
+          `).join('')}
+        </ul>
       </div>
+    ` : ''}
+
+    <h4 style="margin: var(--spacing-xl) 0 var(--spacing-md);">Schedule</h4>
+    <div id="paymentHolidaySchedule"></div>
+  `;
+
+  displayPaymentHolidaySchedule();
+}
+
+const HOLIDAY_SCHEDULE_COLUMNS = [
+  { key: 'payment', label: 'Payment', aggregate: 'sum' },
+  { key: 'principal', label: 'Principal', aggregate: 'sum' },
+  { key: 'interest', label: 'Interest', aggregate: 'sum' },
+  { key: 'charges', label: 'Late Charges', aggregate: 'sum' },
+  { key: 'arrears', label: 'Arrears', aggregate: 'last' },
+  { key: 'deferredInterest', label: 'Deferred Interest', aggregate: 'last' },
+  { key: 'balance', label: 'Balance', aggregate: 'last' }
+];
+
+function displayPaymentHolidaySchedule() {
+  const container = document.getElementById('paymentHolidaySchedule');
+  if (!container || !state.holidaySchedule.length) return;
+
+  const isMonthly = document.getElementById('holidayScheduleView')?.value === 'monthly';
+  const data = isMonthly
+    ? state.holidaySchedule
+    : aggregateYearly(state.holidaySchedule, HOLIDAY_SCHEDULE_COLUMNS);
+  const statusLabel = row => row.status === 'paid' ? '' : ` <small class="text-muted">${DISRUPTION_TYPES[row.status]}</small>`;
+
+  container.innerHTML = `
+    <div class="table-controls">
+      <select id="holidayScheduleView" onchange="displayPaymentHolidaySchedule()">
+        <option value="yearly" ${isMonthly ? '' : 'selected'}>Yearly Summary</option>
+        <option value="monthly" ${isMonthly ? 'selected' : ''}>Monthly Detail</option>
+      </select>
+    </div>
+
+    <div class="table-wrapper">
+      <table class="amortization-table">
+        <thead>
+          <tr>
+            <th>${isMonthly ? 'Month' : 'Year'}</th>
+            ${HOLIDAY_SCHEDULE_COLUMNS.map(column => `<th>${column.label}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${data.map(row => `
+            <tr class="${row.rateChanged ? 'rate-change' : ''}">
+              <td>${isMonthly ? `${row.month}${statusLabel(row)}` : row.year}${row.rateChanged ? '<span class="rate-change-marker" title="Payments resume">Δ</span>' : ''}</td>
+              ${HOLIDAY_SCHEDULE_COLUMNS.map(column => `<td>${formatScheduleValue(row[column.key], column)}</td>`).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
     </div>
   `;
 }
@@ -452,19 +3124,49 @@ function displayExtraPaymentResults(results) {
 function calculateRefinancing() {
   const currentBalance = parseFloat(document.getElementById('currentBalance').value);
   const currentRate = parseFloat(document.getElementById('currentRate').value);
-  const remainingYears = parseInt(document.getElementById('remainingYears').value);
+  const originalLoanDate = document.getElementById('originalLoanDate').value;
+  const originalTenure = parseInt(document.getElementById('originalTenure').value) || 0;
+  const remainingYears = parseFloat(document.getElementById('remainingYears').value) || 0;
   const newRate = parseFloat(document.getElementById('newRate').value);
   const newTenure = parseInt(document.getElementById('newTenure').value);
   const closingCosts = parseFloat(document.getElementById('closingCosts').value) || 0;
+  const cashOut = parseFloat(document.getElementById('cashOutAmount').value) || 0;
+
+  // Remaining tenure from the loan date when known, otherwise as entered
+  let monthsElapsed = null;
+  let remainingMonths = Math.round(remainingYears * 12);
+  if (originalLoanDate) {
+    const tenure = calculateRemainingTenure(new Date(`${originalLoanDate}T00:00:00`), originalTenure);
+    monthsElapsed = tenure.monthsElapsed;
+    if (originalTenure) remainingMonths = tenure.remainingMonths;
+  }
 
-  if (!currentBalance || !currentRate || !remainingYears || !newRate || !newTenure) {
+  if (!currentBalance || !currentRate || !newRate || !newTenure) {
     showError('Please fill in all required fields');
     return;
   }
 
+  if (!remainingMonths) {
+    showError(originalLoanDate && originalTenure
+      ? 'The original tenure has already ended'
+      : 'Enter the remaining tenure, or the original loan date and tenure');
+    return;
+  }
+
   const results = compareRefinancing(
-    { balance: currentBalance, rate: currentRate, remainingYears },
-    { rate: newRate, tenureYears: newTenure, closingCosts }
+    {
+      balance: currentBalance,
+      rate: currentRate,
+      remainingMonths,
+      monthsElapsed,
+      lockInYears: parseFloat(document.getElementById('refiLockIn').value) || 0,
+      penaltyRate: parseFloat(document.getElementById('refiPenaltyRate').value) || 0
+    },
+    { rate: newRate, tenureYears: newTenure, closingCosts, cashOut },
+    {
+      horizonMonths: (parseFloat(document.getElementById('refiHorizon').value) || 0) * 12,
+      discountRate: parseFloat(document.getElementById('refiDiscountRate').value) || 0
+    }
   );
 
   displayRefinancingResults(results);
@@ -475,6 +3177,11 @@ function displayRefinancingResults(results) {
   if (!resultsDiv) return;
 
   const isWorth = results.comparison.worthRefinancing;
+  const curve = results.savingsCurve;
+  const milestones = [1, 2, 3, 5, 10, 15, 20, 25, 30, 35]
+    .map(year => curve[year * 12 - 1])
+    .filter(Boolean);
+  if (milestones[milestones.length - 1] !== curve[curve.length - 1]) milestones.push(curve[curve.length - 1]);
 
   resultsDiv.innerHTML = `
     <h3>Refinancing Analysis</h3>
@@ -488,6 +3195,17 @@ function displayRefinancingResults(results) {
       </span>
     </div>
 
+    ${results.current.withinLockIn ? `
+      <div class="info-note">
+        Your current loan is still within its lock-in for another ${results.current.lockInMonthsLeft} months,
+        so settling it now costs an early-settlement penalty of ${formatCurrency(results.refinanced.penalty)}.
+      </div>
+    ` : ''}
+
+    ${results.current.monthsElapsed === null ? `
+      <p class="form-help">Enter the original loan date to check for an early-settlement penalty.</p>
+    ` : ''}
+
     <div class="comparison-grid">
       <div class="comparison-column">
         <h4>Current Loan</h4>
@@ -503,10 +3221,22 @@ function displayRefinancingResults(results) {
           <span class="stat-label">Remaining Payments</span>
           <span class="stat-value">${results.current.remainingMonths} months</span>
         </div>
+        ${results.current.monthsElapsed !== null ? `
+          <div class="stat">
+            <span class="stat-label">Loan Age</span>
+            <span class="stat-value">${results.current.monthsElapsed} months</span>
+          </div>
+        ` : ''}
       </div>
 
       <div class="comparison-column ${isWorth ? 'highlight' : ''}">
         <h4>Refinanced Loan</h4>
+        ${results.cashOut.amount > 0 ? `
+          <div class="stat">
+            <span class="stat-label">New Loan Amount</span>
+            <span class="stat-value">${formatCurrency(results.refinanced.loanAmount)}</span>
+          </div>
+        ` : ''}
         <div class="stat">
           <span class="stat-label">Monthly Payment</span>
           <span class="stat-value">${formatCurrency(results.refinanced.monthlyPayment)}</span>
@@ -520,50 +3250,160 @@ function displayRefinancingResults(results) {
           <span class="stat-value">${results.refinanced.newTenureMonths} months</span>
         </div>
         <div class="stat">
-          <span class="stat-label">Closing Costs</span>
-          <span class="stat-value">${formatCurrency(results.refinanced.closingCosts)}</span>
+          <span class="stat-label">Closing Costs</span>
+          <span class="stat-value">${formatCurrency(results.refinanced.closingCosts)}</span>
+        </div>
+        ${results.refinanced.penalty > 0 ? `
+          <div class="stat">
+            <span class="stat-label">Early Settlement Penalty</span>
+            <span class="stat-value text-warning">${formatCurrency(results.refinanced.penalty)}</span>
+          </div>
+        ` : ''}
+      </div>
+    </div>
+
+    ${results.cashOut.amount > 0 ? `
+      <div class="info-note">
+        <strong>Cash-Out of ${formatCurrency(results.cashOut.amount)}</strong>
+        <p>Adds ${formatCurrency(results.cashOut.monthlyPayment)} to the monthly payment and
+        ${formatCurrency(results.cashOut.totalInterest)} of interest over the new tenure.
+        It is left out of the savings below, which compare only the balance being refinanced.</p>
+      </div>
+    ` : ''}
+
+    <div class="savings-summary">
+      <h4>Comparison Summary</h4>
+      <div class="savings-grid">
+        <div class="saving-item">
+          <span class="saving-value ${results.comparison.monthlyDifference > 0 ? 'text-success' : 'text-warning'}">
+            ${results.comparison.monthlyDifference > 0 ? '-' : '+'}${formatCurrency(Math.abs(results.comparison.monthlyDifference))}
+          </span>
+          <span class="saving-label">Monthly Change${results.cashOut.amount > 0 ? ' (excl. cash-out)' : ''}</span>
+        </div>
+        <div class="saving-item">
+          <span class="saving-value ${results.comparison.netSavings > 0 ? 'text-success' : 'text-warning'}">
+            ${formatCurrency(results.comparison.netSavings)}
+          </span>
+          <span class="saving-label">Lifetime Interest Saved, Net of Costs (different terms)</span>
+        </div>
+        <div class="saving-item">
+          <span class="saving-value">${results.comparison.breakEvenYears} years</span>
+          <span class="saving-label">Break-even Time</span>
+        </div>
+      </div>
+    </div>
+
+    ${renderRefinancingHorizon(results.horizon)}
+
+    <div class="summary-table">
+      <h4>Cumulative Savings</h4>
+      <div class="line-chart">
+        <canvas id="refinanceSavingsChart"></canvas>
+      </div>
+      <table>
+        ${milestones.map(point => `
+          <tr>
+            <td>${point.month % 12 === 0 ? `Year ${point.year}` : `Month ${point.month}`}</td>
+            <td class="${point.cumulativeSavings >= 0 ? 'text-success' : 'text-warning'}">${formatCurrency(point.cumulativeSavings)}</td>
+          </tr>
+        `).join('')}
+      </table>
+      <p class="form-help">After closing costs${results.refinanced.penalty > 0 ? ' and the early-settlement penalty' : ''}; positive once refinancing has paid for itself.</p>
+    </div>
+  `;
+
+  setTimeout(() => {
+    drawSavingsChart('refinanceSavingsChart', curve.map(point => point.cumulativeSavings));
+  }, 50);
+}
+
+// Equal-horizon view: what each loan costs to run and settle over the same period
+function renderRefinancingHorizon(horizon) {
+  const years = roundToTwoDecimals(horizon.months / 12);
+  const column = (title, side, upfront) => `
+    <div class="comparison-column">
+      <h4>${title}</h4>
+      ${upfront ? `
+        <div class="stat">
+          <span class="stat-label">Upfront Costs</span>
+          <span class="stat-value">${formatCurrency(side.upfrontCosts)}</span>
         </div>
+      ` : ''}
+      <div class="stat">
+        <span class="stat-label">Payments</span>
+        <span class="stat-value">${formatCurrency(side.payments)}</span>
+      </div>
+      <div class="stat">
+        <span class="stat-label">Balance at Horizon</span>
+        <span class="stat-value">${formatCurrency(side.balance)}</span>
+      </div>
+      <div class="stat">
+        <span class="stat-label">Total Outflow</span>
+        <span class="stat-value">${formatCurrency(side.totalOutflow)}</span>
+      </div>
+      <div class="stat">
+        <span class="stat-label">Present Value</span>
+        <span class="stat-value">${formatCurrency(side.presentValue)}</span>
       </div>
     </div>
+  `;
 
+  return `
     <div class="savings-summary">
-      <h4>Comparison Summary</h4>
+      <h4>Equal-Horizon Comparison (${years} years)</h4>
+      <div class="comparison-grid">
+        ${column('Current Loan', horizon.current, false)}
+        ${column('Refinanced Loan', horizon.refinanced, true)}
+      </div>
       <div class="savings-grid">
         <div class="saving-item">
-          <span class="saving-value ${results.comparison.monthlyDifference > 0 ? 'text-success' : 'text-warning'}">
-            ${results.comparison.monthlyDifference > 0 ? '-' : '+'}${formatCurrency(Math.abs(results.comparison.monthlyDifference))}
-          </span>
-          <span class="saving-label">Monthly Change</span>
-        </div>
-        <div class="saving-item">
-          <span class="saving-value ${results.comparison.netSavings > 0 ? 'text-success' : 'text-warning'}">
-            ${formatCurrency(results.comparison.netSavings)}
-          </span>
-          <span class="saving-label">Net Savings</span>
+          <span class="saving-value ${horizon.savings > 0 ? 'text-success' : 'text-warning'}">${formatCurrency(horizon.savings)}</span>
+          <span class="saving-label">Savings over ${years} Years</span>
         </div>
         <div class="saving-item">
-          <span class="saving-value">${results.comparison.breakEvenYears} years</span>
-          <span class="saving-label">Break-even Time</span>
+          <span class="saving-value ${horizon.npvSavings > 0 ? 'text-success' : 'text-warning'}">${formatCurrency(horizon.npvSavings)}</span>
+          <span class="saving-label">NPV Savings @ ${horizon.discountRate}%</span>
         </div>
       </div>
+      <p class="form-help">Balances at the horizon are treated as settled then. Figures exclude any cash-out.</p>
     </div>
   `;
 }
 
 // Affordability calculation
 function calculateAffordabilityCheck() {
-  const monthlyIncome = parseFloat(document.getElementById('monthlyIncome').value);
-  const existingCommitments = parseFloat(document.getElementById('existingCommitments').value) || 0;
-  const dsrLimit = parseFloat(document.getElementById('dsrLimit').value) / 100;
+  const borrowers = getBorrowers();
+  const dsrLimitValue = document.getElementById('dsrLimit').value;
   const affordRate = parseFloat(document.getElementById('affordRate').value);
   const affordTenure = parseInt(document.getElementById('affordTenure').value);
+  const plannedLoanAmount = parseFloat(document.getElementById('plannedLoanAmount').value) || 0;
+  const existingHousingLoans = parseInt(document.getElementById('affordExistingLoans').value) || 0;
 
-  if (!monthlyIncome || !dsrLimit || !affordRate || !affordTenure) {
-    showError('Please fill in all required fields');
+  if (!borrowers.length || borrowers.some(borrower => !borrower.grossIncome) || !affordRate || !affordTenure) {
+    showError('Please fill in all required fields, including each borrower\'s income');
+    return;
+  }
+
+  const tenureCheck = validateJointTenure(affordTenure, borrowers, getBankMaxTenure());
+  if (tenureCheck.maxTenure <= 0) {
+    showError(tenureCheck.message);
     return;
   }
 
-  const results = calculateAffordability(monthlyIncome, existingCommitments, dsrLimit, affordRate, affordTenure);
+  // Size the loan on the longest tenure actually allowed
+  const tenure = Math.min(affordTenure, tenureCheck.maxTenure);
+
+  const results = calculateDSRAffordability(borrowers, affordRate, tenure, {
+    dsrLimit: dsrLimitValue === 'auto' ? null : parseFloat(dsrLimitValue) / 100,
+    loanAmount: plannedLoanAmount,
+    marginPercent: getMaxMarginOfFinance(existingHousingLoans)
+  });
+  if (!results.feasible) {
+    showError(results.message);
+    return;
+  }
+  results.tenureCheck = tenureCheck;
+  results.marginCheck = checkMarginOfFinance(0, existingHousingLoans);
 
   displayAffordabilityResults(results);
 }
@@ -572,9 +3412,26 @@ function displayAffordabilityResults(results) {
   const resultsDiv = document.getElementById('affordabilityResults');
   if (!resultsDiv) return;
 
+  const { dsr } = results;
+  const { income } = dsr;
+  const afterLabel = results.plannedLoanAmount
+    ? `DSR After ${formatCurrency(results.plannedLoanAmount)} Loan`
+    : 'DSR After Max Loan';
+
   resultsDiv.innerHTML = `
     <h3>Affordability Analysis</h3>
 
+    ${!results.tenureCheck.allowed ? `
+      <div class="recommendation negative">
+        <span class="recommendation-icon">!</span>
+        <span class="recommendation-text">
+          Tenure not allowed: ${results.tenureCheck.message} Results below use ${results.tenureCheck.maxTenure} years.
+        </span>
+      </div>
+    ` : ''}
+
+    ${renderMarginNote(results.marginCheck)}
+
     ${!results.canAfford ? `
       <div class="recommendation negative">
         <span class="recommendation-icon">!</span>
@@ -582,13 +3439,24 @@ function displayAffordabilityResults(results) {
       </div>
     ` : ''}
 
+    ${results.canAfford && results.plannedLoanAmount ? `
+      <div class="recommendation ${dsr.withinLimit ? 'positive' : 'negative'}">
+        <span class="recommendation-icon">${dsr.withinLimit ? '✓' : '!'}</span>
+        <span class="recommendation-text">
+          ${dsr.withinLimit
+            ? `The planned loan keeps your DSR within the ${dsr.dsrLimit}% limit`
+            : `The planned loan takes your DSR above the ${dsr.dsrLimit}% limit`}
+        </span>
+      </div>
+    ` : ''}
+
     <div class="results-grid">
       <div class="result-card primary">
         <span class="result-label">Maximum Loan Amount</span>
         <span class="result-value">${formatCurrency(results.maxLoanAmount)}</span>
       </div>
       <div class="result-card">
-        <span class="result-label">Est. Property Price (90% Margin)</span>
+        <span class="result-label">Est. Property Price (${results.marginPercent || results.marginCheck.maxMargin}% Margin)</span>
         <span class="result-value">${formatCurrency(results.estimatedPropertyPrice || 0)}</span>
       </div>
       <div class="result-card">
@@ -596,57 +3464,292 @@ function displayAffordabilityResults(results) {
         <span class="result-value">${formatCurrency(results.maxMonthlyPayment)}</span>
       </div>
       <div class="result-card">
-        <span class="result-label">Current DSR</span>
-        <span class="result-value">${results.currentDSR}%</span>
+        <span class="result-label">DSR Before Mortgage</span>
+        <span class="result-value">${dsr.dsrBefore}%</span>
       </div>
       <div class="result-card">
-        <span class="result-label">Available DSR</span>
-        <span class="result-value">${results.availableDSR || 0}%</span>
+        <span class="result-label">${afterLabel}</span>
+        <span class="result-value">${dsr.dsrAfter}%</span>
       </div>
       <div class="result-card">
-        <span class="result-label">DSR Limit</span>
-        <span class="result-value">${results.maxDSR}%</span>
+        <span class="result-label">DSR Limit${dsr.autoLimit ? ' (Auto)' : ''}</span>
+        <span class="result-value">${dsr.dsrLimit}%</span>
+      </div>
+    </div>
+
+    ${dsr.borrowers.length > 1 ? `
+      <div class="summary-table">
+        <h4>Joint Application</h4>
+        <table>
+          ${dsr.borrowers.map((borrower, index) => `
+            <tr>
+              <td>
+                Borrower ${index + 1} (${borrower.label}${borrower.age ? `, age ${borrower.age}` : ''})
+                ${index === results.tenureCheck.eldestIndex ? '<br><small>Eldest: sets the maximum tenure</small>' : ''}
+              </td>
+              <td>
+                ${formatCurrency(borrower.income.netIncome)} net
+                <br><small>Commitments ${formatCurrency(borrower.commitments.total)}</small>
+              </td>
+            </tr>
+          `).join('')}
+          <tr class="total-row">
+            <td><strong>Combined Net Income</strong></td>
+            <td><strong>${formatCurrency(income.netIncome)}</strong></td>
+          </tr>
+        </table>
+      </div>
+    ` : ''}
+
+    <div class="comparison-grid">
+      <div class="summary-table">
+        <h4>${dsr.borrowers.length > 1 ? 'Combined Net Income' : 'Net Income'}</h4>
+        <table>
+          ${income.grossIncome !== income.declaredIncome ? `
+            <tr><td>Declared Gross Income</td><td>${formatCurrency(income.declaredIncome)}</td></tr>
+            <tr><td>Recognised Gross Income</td><td>${formatCurrency(income.grossIncome)}</td></tr>
+          ` : `
+            <tr><td>Gross Income</td><td>${formatCurrency(income.grossIncome)}</td></tr>
+          `}
+          <tr><td>EPF</td><td>-${formatCurrency(income.epf)}</td></tr>
+          <tr><td>SOCSO</td><td>-${formatCurrency(income.socso)}</td></tr>
+          <tr><td>EIS</td><td>-${formatCurrency(income.eis)}</td></tr>
+          <tr><td>PCB (est.)</td><td>-${formatCurrency(income.pcb)}</td></tr>
+          <tr class="total-row">
+            <td><strong>Net Income</strong></td>
+            <td><strong>${formatCurrency(income.netIncome)}</strong></td>
+          </tr>
+        </table>
+      </div>
+
+      <div class="summary-table">
+        <h4>Commitments Counted</h4>
+        <table>
+          ${dsr.commitments.items.length ? dsr.commitments.items.map(item => `
+            <tr>
+              <td>${item.label}${item.basis === 'limit' ? ` <small>(${COMMITMENT_TYPES[item.key].rate * 100}% of ${formatCurrency(item.amount)})</small>` : ''}</td>
+              <td>${formatCurrency(item.monthly)}</td>
+            </tr>
+          `).join('') : '<tr><td>No existing commitments</td><td>-</td></tr>'}
+          <tr>
+            <td>New Mortgage</td>
+            <td>${formatCurrency(dsr.newInstalment)}</td>
+          </tr>
+          <tr class="total-row">
+            <td><strong>Total After Mortgage</strong></td>
+            <td><strong>${formatCurrency(dsr.commitments.total + dsr.newInstalment)}</strong></td>
+          </tr>
+        </table>
       </div>
     </div>
 
     ${results.breakdown ? `
       <div class="breakdown-section">
-        <h4>Income Breakdown</h4>
+        <h4>Net Income Breakdown</h4>
         <div class="breakdown-bar">
-          <div class="bar-segment existing" style="width: ${(results.breakdown.existingCommitments / results.breakdown.grossIncome) * 100}%">
+          <div class="bar-segment existing" style="width: ${(results.breakdown.existingCommitments / results.breakdown.income) * 100}%">
             <span class="bar-label">Existing</span>
           </div>
-          <div class="bar-segment available" style="width: ${(results.breakdown.availableForMortgage / results.breakdown.grossIncome) * 100}%">
+          <div class="bar-segment available" style="width: ${(results.breakdown.availableForMortgage / results.breakdown.income) * 100}%">
             <span class="bar-label">Available</span>
           </div>
-          <div class="bar-segment unused" style="width: ${((results.breakdown.grossIncome - results.breakdown.maxTotalDebt) / results.breakdown.grossIncome) * 100}%">
+          <div class="bar-segment unused" style="width: ${((results.breakdown.income - results.breakdown.maxTotalDebt) / results.breakdown.income) * 100}%">
             <span class="bar-label">Reserved</span>
           </div>
         </div>
         <div class="breakdown-legend">
           <span><span class="dot existing"></span> Existing Commitments: ${formatCurrency(results.breakdown.existingCommitments)}</span>
           <span><span class="dot available"></span> Available for Mortgage: ${formatCurrency(results.breakdown.availableForMortgage)}</span>
-          <span><span class="dot unused"></span> Reserved (40%): ${formatCurrency(results.breakdown.grossIncome - results.breakdown.maxTotalDebt)}</span>
+          <span><span class="dot unused"></span> Reserved (${roundToTwoDecimals(100 - dsr.dsrLimit)}%): ${formatCurrency(results.breakdown.income - results.breakdown.maxTotalDebt)}</span>
         </div>
       </div>
     ` : ''}
   `;
 }
 
+// Budget solver (goal-seek from a target instalment)
+// Hide the input being solved for
+function updateGoalSeekFields() {
+  const solveFor = document.getElementById('solveFor')?.value;
+  document.querySelectorAll('#goalSeekForm [data-solve]').forEach(group => {
+    group.style.display = group.dataset.solve === solveFor ? 'none' : '';
+  });
+}
+
+function calculateGoalSeek() {
+  const targetPayment = parseFloat(document.getElementById('targetPayment').value);
+  const solveFor = document.getElementById('solveFor').value;
+  const known = {
+    loanAmount: parseFloat(document.getElementById('goalLoanAmount').value),
+    annualRate: parseFloat(document.getElementById('goalRate').value),
+    tenureYears: parseFloat(document.getElementById('goalTenure').value)
+  };
+  const marginCheck = checkMarginOfFinance(
+    parseFloat(document.getElementById('goalMargin').value),
+    parseInt(document.getElementById('goalExistingLoans').value) || 0
+  );
+
+  // A zero rate is allowed; a zero loan amount or tenure is not
+  const missing = Object.entries(known).some(([key, value]) =>
+    key !== solveFor && (isNaN(value) || value < 0 || (key !== 'annualRate' && value === 0))
+  );
+  if (!targetPayment || missing) {
+    showError('Please fill in the target instalment and the two known loan terms');
+    return;
+  }
+
+  const solution = solveLoanTerms(targetPayment, known, solveFor);
+  if (!solution.feasible) {
+    showError(solution.message);
+    return;
+  }
+
+  const budget = calculatePropertyBudget(
+    solution.loanAmount,
+    marginCheck.appliedMargin,
+    document.getElementById('goalFirstTimeBuyer').checked,
+    document.getElementById('goalHOC').checked
+  );
+
+  budget.marginCheck = marginCheck;
+
+  displayGoalSeekResults(solution, budget);
+}
+
+function displayGoalSeekResults(solution, budget) {
+  const resultsDiv = document.getElementById('goalSeekResults');
+  if (!resultsDiv) return;
+
+  const solvedLabels = {
+    loanAmount: 'Loan Amount',
+    annualRate: 'Interest Rate',
+    tenureYears: 'Loan Tenure'
+  };
+  const tenureText = solution.tenureMonths % 12 === 0
+    ? `${solution.tenureMonths / 12} years`
+    : `${Math.floor(solution.tenureMonths / 12)} years ${solution.tenureMonths % 12} month${solution.tenureMonths % 12 === 1 ? '' : 's'}`;
+  const maxTenure = getBankMaxTenure();
+  const costs = budget.upfrontCosts.summary;
+
+  resultsDiv.innerHTML = `
+    <h3>Budget Solution</h3>
+
+    ${renderMarginNote(budget.marginCheck, `The property price below uses a ${budget.marginPercent}% margin.`)}
+
+    ${solution.tenureYears > maxTenure ? `
+      <div class="recommendation negative">
+        <span class="recommendation-icon">!</span>
+        <span class="recommendation-text">
+          ${tenureText} is longer than any bank offers (maximum ${maxTenure} years).
+        </span>
+      </div>
+    ` : ''}
+
+    <div class="results-grid">
+      <div class="result-card primary">
+        <span class="result-label">Property Price</span>
+        <span class="result-value">${formatCurrency(budget.propertyPrice)}</span>
+      </div>
+      <div class="result-card">
+        <span class="result-label">${solvedLabels[solution.solveFor]} (solved)</span>
+        <span class="result-value">${solution.solveFor === 'annualRate'
+          ? `${solution.annualRate}% p.a.`
+          : solution.solveFor === 'tenureYears' ? tenureText : formatCurrency(solution.loanAmount)}</span>
+      </div>
+      <div class="result-card">
+        <span class="result-label">Monthly Instalment</span>
+        <span class="result-value">${formatCurrency(solution.monthlyPayment)}</span>
+      </div>
+      <div class="result-card">
+        <span class="result-label">Loan Amount (${budget.marginPercent}% Margin)</span>
+        <span class="result-value">${formatCurrency(solution.loanAmount)}</span>
+      </div>
+      <div class="result-card">
+        <span class="result-label">Total Interest</span>
+        <span class="result-value">${formatCurrency(solution.totalInterest)}</span>
+      </div>
+      <div class="result-card">
+        <span class="result-label">Cash Needed Upfront</span>
+        <span class="result-value">${formatCurrency(costs.total)}</span>
+      </div>
+    </div>
+
+    <div class="summary-table">
+      <h4>Loan Terms</h4>
+      <table>
+        <tr><td>Loan Amount</td><td>${formatCurrency(solution.loanAmount)}</td></tr>
+        <tr><td>Interest Rate</td><td>${solution.annualRate}% p.a.</td></tr>
+        <tr><td>Tenure</td><td>${tenureText}</td></tr>
+      </table>
+    </div>
+
+    <div class="summary-table">
+      <h4>Upfront Costs</h4>
+      <table>
+        <tr><td>Down Payment (${100 - budget.marginPercent}%)</td><td>${formatCurrency(costs.downPayment)}</td></tr>
+        <tr><td>Stamp Duty (MOT + Loan)</td><td>${formatCurrency(costs.stampDuty)}</td></tr>
+        <tr><td>Legal Fees (SPA + Loan)</td><td>${formatCurrency(costs.legalFees)}</td></tr>
+        <tr><td>Valuation Fee</td><td>${formatCurrency(costs.valuationFee)}</td></tr>
+        <tr class="total-row">
+          <td><strong>Total Cash Required</strong></td>
+          <td><strong>${formatCurrency(costs.total)}</strong></td>
+        </tr>
+      </table>
+    </div>
+  `;
+}
+
 // Stamp duty calculation
 function calculateStampDutyAndFees() {
   const propertyPrice = parseFloat(document.getElementById('stampPropertyPrice').value);
   const loanPercent = parseFloat(document.getElementById('loanMargin').value);
   const isFirstTimeBuyer = document.getElementById('firstTimeBuyer').checked;
   const applyHOC = document.getElementById('applyHOC').checked;
+  const existingHousingLoans = parseInt(document.getElementById('stampExistingLoans').value) || 0;
 
   if (!propertyPrice || !loanPercent) {
     showError('Please fill in property price and loan margin');
     return;
   }
 
-  const loanAmount = propertyPrice * (loanPercent / 100);
-  const results = calculateTotalUpfrontCosts(propertyPrice, loanAmount, isFirstTimeBuyer, applyHOC);
+  const marginCheck = checkMarginOfFinance(loanPercent, existingHousingLoans);
+  const loanAmount = propertyPrice * (marginCheck.appliedMargin / 100);
+
+  // Mortgage insurance paid upfront is part of the cash needed; a financed premium is not
+  let insurance = null;
+  const insuranceType = document.getElementById('stampInsuranceType').value;
+  if (insuranceType !== 'none') {
+    const age = parseInt(document.getElementById('stampInsuranceAge').value) || 0;
+    const coverYears = parseInt(document.getElementById('stampInsuranceYears').value) || 30;
+    insurance = calculateMortgageInsurance(loanAmount, coverYears, age ? [age] : [], insuranceType);
+    if (!insurance.insurable) {
+      showError(insurance.message);
+      return;
+    }
+    insurance.financed = document.getElementById('stampFinanceInsurance').checked;
+  }
+
+  const upfrontPremium = insurance && !insurance.financed ? insurance.premium : 0;
+  const results = calculateTotalUpfrontCosts(propertyPrice, loanAmount, isFirstTimeBuyer, applyHOC, upfrontPremium);
+  results.marginCheck = marginCheck;
+  results.insurance = insurance;
+
+  // Estimate the cash-to-close items once; later calculations keep the user's edits
+  const estimatedItems = buildCashToCloseItems(propertyPrice, loanAmount, {
+    isFirstTimeBuyer, applyHOC, insurancePremium: upfrontPremium
+  });
+  const estimate = JSON.stringify(estimatedItems);
+  if (!document.querySelector('.cash-item')) {
+    setCashToCloseItems(estimatedItems, estimate);
+  }
+  const bookingDate = document.getElementById('bookingDate').value;
+  results.cashToClose = calculateCashToClose(
+    getCashToCloseItems(), bookingDate ? new Date(`${bookingDate}T00:00:00`) : null
+  );
+  // Only changed inputs make the items stale; edits to the items themselves are intended
+  if (state.cashToCloseBasis !== null && state.cashToCloseBasis !== estimate) {
+    results.cashToCloseEstimate = roundToTwoDecimals(estimatedItems.reduce((sum, item) => sum + item.amount, 0));
+  }
 
   displayStampDutyResults(results);
 }
@@ -658,6 +3761,8 @@ function displayStampDutyResults(results) {
   resultsDiv.innerHTML = `
     <h3>Upfront Costs Breakdown</h3>
 
+    ${renderMarginNote(results.marginCheck, `Costs below use a ${results.marginCheck.appliedMargin}% margin.`)}
+
     <div class="cost-summary">
       <div class="cost-total">
         <span class="cost-label">Total Cash Required</span>
@@ -725,6 +3830,19 @@ function displayStampDutyResults(results) {
           <span class="cost-amount">${formatCurrency(results.valuationFee)}</span>
         </div>
       </div>
+
+      ${results.insurance ? `
+        <div class="cost-item">
+          <div class="cost-header">
+            <span class="cost-name">Mortgage Insurance (${results.insurance.type.toUpperCase()})</span>
+            <span class="cost-amount">${formatCurrency(results.insurancePremium)}</span>
+          </div>
+          <div class="cost-detail">
+            <span>Single premium: ${formatCurrency(results.insurance.premium)}</span>
+            ${results.insurance.financed ? '<small>Financed into the loan, so no cash is needed upfront</small>' : ''}
+          </div>
+        </div>
+      ` : ''}
     </div>
 
     <div class="summary-table">
@@ -754,12 +3872,77 @@ function displayStampDutyResults(results) {
           <td>Valuation</td>
           <td>${formatCurrency(results.summary.valuationFee)}</td>
         </tr>
+        ${results.insurance ? `
+          <tr>
+            <td>Mortgage Insurance</td>
+            <td>${formatCurrency(results.summary.insurance)}</td>
+          </tr>
+        ` : ''}
         <tr class="total-row">
           <td><strong>Total Cash Required</strong></td>
           <td><strong>${formatCurrency(results.summary.total)}</strong></td>
         </tr>
       </table>
     </div>
+
+    ${renderCashToCloseTimeline(results.cashToClose, results.cashToCloseEstimate)}
+  `;
+}
+
+function renderCashToCloseTimeline(plan, estimatedTotal) {
+  const stages = plan.stages.filter(stage => stage.items.length);
+  if (!stages.length) return '';
+
+  const formatDue = stage => stage.dueDate
+    ? formatDate(stage.dueDate)
+    : `Day ${stage.dayOffset}`;
+
+  return `
+    <h3 style="margin-top: var(--spacing-xl);">Cash-to-Close Timeline</h3>
+
+    ${estimatedTotal !== undefined ? `
+      <div class="info-note">
+        The inputs above have changed since these items were estimated, and now estimate ${formatCurrency(estimatedTotal)}.
+        Use Re-estimate Items to rebuild the list from them (this replaces your edits).
+      </div>
+    ` : ''}
+
+    <div class="cost-breakdown">
+      ${stages.map(stage => `
+        <div class="cost-item">
+          <div class="cost-header">
+            <span class="cost-name">${stage.label} <small class="text-muted">· ${formatDue(stage)}</small></span>
+            <span class="cost-amount">${formatCurrency(stage.total)}</span>
+          </div>
+          <div class="cost-detail">
+            ${stage.items.map(item => `
+              <div class="cost-line">
+                <span>${escapeHTML(item.label)}${item.optional ? ' <small class="text-muted">(optional)</small>' : ''}</span>
+                <span>${formatCurrency(item.amount)}</span>
+              </div>
+            `).join('')}
+            <small>Paid to date: ${formatCurrency(stage.cumulativeRequired)} required, ${formatCurrency(stage.cumulative)} with optional items</small>
+          </div>
+        </div>
+      `).join('')}
+    </div>
+
+    <div class="summary-table">
+      <table>
+        <tr>
+          <td>Required Items</td>
+          <td>${formatCurrency(plan.requiredTotal)}</td>
+        </tr>
+        <tr>
+          <td>Optional Items</td>
+          <td>${formatCurrency(plan.optionalTotal)}</td>
+        </tr>
+        <tr class="total-row">
+          <td><strong>Total Cash to Close</strong></td>
+          <td><strong>${formatCurrency(plan.total)}</strong></td>
+        </tr>
+      </table>
+    </div>
   `;
 }
 
@@ -812,6 +3995,190 @@ function drawPaymentChart(principal, interest) {
   ctx.fill();
 }
 
+// Rent vs buy comparison
+function compareRentVsBuy() {
+  const propertyPrice = parseFloat(document.getElementById('rentBuyPrice').value);
+  const rate = parseFloat(document.getElementById('rentBuyRate').value);
+  const tenure = parseInt(document.getElementById('rentBuyTenure').value);
+  const monthlyRent = parseFloat(document.getElementById('monthlyRent').value);
+  const margin = parseFloat(document.getElementById('rentBuyMargin').value) || MARGIN_OF_FINANCE.standard;
+  const horizonInput = document.getElementById('rentBuyYears').value;
+  const horizonYears = horizonInput === '' ? tenure : parseInt(horizonInput);
+
+  if (!propertyPrice || !rate || !tenure || !monthlyRent) {
+    showError('Please fill in the property, loan and rent details');
+    return;
+  }
+
+  if (!(horizonYears >= 1)) {
+    showError('Comparison period must be at least 1 year');
+    return;
+  }
+
+  const results = calculateRentVsBuy(
+    {
+      propertyPrice,
+      loanAmount: roundToTwoDecimals(propertyPrice * margin / 100),
+      annualRate: rate,
+      tenureYears: tenure,
+      isFirstTimeBuyer: document.getElementById('rentBuyFirstTimeBuyer').checked,
+      applyHOC: false,
+      appreciationRate: parseFloat(document.getElementById('appreciationRate').value) || 0,
+      maintenance: parseFloat(document.getElementById('maintenanceFee').value) || 0,
+      quitRent: parseFloat(document.getElementById('quitRent').value) || 0,
+      assessment: parseFloat(document.getElementById('assessmentTax').value) || 0
+    },
+    { monthlyRent, rentGrowth: parseFloat(document.getElementById('rentGrowth').value) || 0 },
+    {
+      investmentReturn: parseFloat(document.getElementById('investmentReturn').value) || 0,
+      horizonYears
+    }
+  );
+
+  displayRentVsBuyResults(results);
+}
+
+function displayRentVsBuyResults(results) {
+  const resultsDiv = document.getElementById('rentBuyResults');
+  if (!resultsDiv) return;
+
+  const { totals, years } = results;
+  const buyingWins = totals.difference >= 0;
+  let verdict;
+  if (results.buyingAheadThroughout) {
+    verdict = 'Buying comes out ahead from the first year.';
+  } else if (results.crossoverYear) {
+    verdict = `Buying overtakes renting in year ${results.crossoverYear}.`;
+  } else {
+    verdict = `Renting stays ahead for all ${years.length} years.`;
+  }
+
+  resultsDiv.innerHTML = `
+    <div class="recommendation ${buyingWins ? 'positive' : 'negative'}">
+      <span class="recommendation-icon">${buyingWins ? '✓' : '!'}</span>
+      <span class="recommendation-text">
+        ${verdict} After ${years.length} years ${buyingWins ? 'buying' : 'renting'} leaves you
+        ${formatCurrency(Math.abs(totals.difference))} better off.
+      </span>
+    </div>
+
+    <div class="results-grid">
+      <div class="result-card primary">
+        <span class="result-label">Crossover Year</span>
+        <span class="result-value">${results.crossoverYear ? `Year ${results.crossoverYear}` : 'None'}</span>
+      </div>
+      <div class="result-card">
+        <span class="result-label">Upfront Cost of Buying</span>
+        <span class="result-value">${formatCurrency(results.upfront.totalCosts)}</span>
+      </div>
+      <div class="result-card">
+        <span class="result-label">Monthly Cost of Owning</span>
+        <span class="result-value">${formatCurrency(results.monthlyPayment + results.monthlyHoldingCost)}</span>
+      </div>
+      <div class="result-card">
+        <span class="result-label">Net Worth if Buying</span>
+        <span class="result-value">${formatCurrency(totals.buyerNetWorth)}</span>
+      </div>
+      <div class="result-card">
+        <span class="result-label">Net Worth if Renting</span>
+        <span class="result-value">${formatCurrency(totals.renterNetWorth)}</span>
+      </div>
+      <div class="result-card">
+        <span class="result-label">Total Rent Paid</span>
+        <span class="result-value">${formatCurrency(totals.rent)}</span>
+      </div>
+    </div>
+
+    <div class="summary-table">
+      <h4>Buying minus Renting Net Worth</h4>
+      <div class="line-chart">
+        <canvas id="rentBuyChart"></canvas>
+      </div>
+      <p class="text-muted">
+        Instalment ${formatCurrency(results.monthlyPayment)} plus ${formatCurrency(results.monthlyHoldingCost)} a month in
+        maintenance, quit rent and assessment. Buyer net worth is home equity before selling costs plus investments.
+      </p>
+    </div>
+
+    <h4 style="margin: var(--spacing-xl) 0 var(--spacing-md);">Year by Year</h4>
+    <div class="table-wrapper">
+      <table class="amortization-table">
+        <thead>
+          <tr>
+            <th>Year</th>
+            <th>Rent</th>
+            <th>Cost of Owning</th>
+            <th>Home Equity</th>
+            <th>Buyer Investments</th>
+            <th>Net Worth (Buy)</th>
+            <th>Net Worth (Rent)</th>
+            <th>Difference</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${years.map(row => `
+            <tr class="${row.year === results.crossoverYear ? 'crossover' : ''}">
+              <td>${row.year}</td>
+              <td>${formatCurrency(row.rent)}</td>
+              <td>${formatCurrency(row.ownershipCost)}</td>
+              <td>${formatCurrency(row.homeEquity)}</td>
+              <td>${formatCurrency(row.buyerPortfolio)}</td>
+              <td>${formatCurrency(row.buyerNetWorth)}</td>
+              <td>${formatCurrency(row.renterNetWorth)}</td>
+              <td class="${row.difference >= 0 ? 'text-success' : 'text-warning'}">${formatCurrency(row.difference)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+
+  setTimeout(() => {
+    drawSavingsChart('rentBuyChart', years.map(row => row.difference));
+  }, 50);
+}
+
+// Line chart of a monthly series with a zero baseline
+function drawSavingsChart(canvasId, values) {
+  const canvas = document.getElementById(canvasId);
+  if (!canvas || !values.length) return;
+
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+
+  const dpr = window.devicePixelRatio || 1;
+  const rect = canvas.getBoundingClientRect();
+
+  canvas.width = rect.width * dpr;
+  canvas.height = rect.height * dpr;
+  ctx.scale(dpr, dpr);
+  ctx.clearRect(0, 0, rect.width, rect.height);
+
+  const padding = 10;
+  const max = Math.max(0, ...values);
+  const min = Math.min(0, ...values);
+  const range = max - min || 1;
+  const x = index => padding + (index / Math.max(1, values.length - 1)) * (rect.width - padding * 2);
+  const y = value => padding + ((max - value) / range) * (rect.height - padding * 2);
+
+  // Zero line: savings above it have recovered the upfront costs
+  ctx.beginPath();
+  ctx.moveTo(padding, y(0));
+  ctx.lineTo(rect.width - padding, y(0));
+  ctx.strokeStyle = '#CBD5E1';
+  ctx.lineWidth = 1;
+  ctx.stroke();
+
+  ctx.beginPath();
+  values.forEach((value, index) => {
+    if (index === 0) ctx.moveTo(x(index), y(value));
+    else ctx.lineTo(x(index), y(value));
+  });
+  ctx.strokeStyle = '#0F766E';
+  ctx.lineWidth = 2;
+  ctx.stroke();
+}
+
 // Export functions
 function exportToCSV() {
   if (!state.amortizationData.length) {
@@ -819,10 +4186,15 @@ function exportToCSV() {
     return;
   }
 
-  const headers = ['Month', 'Year', 'Payment', 'Principal', 'Interest', 'Balance', 'Cumulative Interest'];
-  const rows = state.amortizationData.map(row =>
-    [row.month, row.year, row.payment, row.principal, row.interest, row.balance, row.cumulativeInterest]
-  );
+  const columns = getScheduleColumns();
+  const hasDates = Boolean(state.amortizationData[0].dueDate);
+  const headers = ['Month', 'Year', ...(hasDates ? ['Due Date'] : []), ...columns.map(column => column.label)];
+  const rows = state.amortizationData.map(row => [
+    row.month,
+    row.year,
+    ...(hasDates ? [formatISODate(row.dueDate)] : []),
+    ...columns.map(column => row[column.key])
+  ]);
 
   const csv = [headers.join(','), ...rows.map(row => row.join(','))].join('\n');
 
@@ -841,9 +4213,13 @@ function printAmortization() {
 
 // Error handling
 function showError(message) {
+  showToast(message, 'error');
+}
+
+function showToast(message, type = 'success') {
   // Create toast notification
   const toast = document.createElement('div');
-  toast.className = 'toast error';
+  toast.className = `toast ${type}`;
   toast.textContent = message;
   document.body.appendChild(toast);
 
@@ -862,3 +4238,14 @@ function formatCurrency(num) {
   if (isNaN(num) || num === null || num === undefined) return 'RM 0.00';
   return 'RM ' + num.toLocaleString('en-MY', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
 }
+
+function formatDate(date) {
+  return date.toLocaleDateString('en-MY', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+// Local calendar date as YYYY-MM-DD (toISOString would shift it to UTC)
+function formatISODate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
@@ -76,6 +76,427 @@ function generateAmortizationSchedule(principal, annualRate, tenureYears) {
   return schedule;
 }
 
+/**
+ * Due date of the nth monthly instalment after drawdown
+ * A payment day past the end of a short month falls on its last day.
+ * @param {Date} drawdownDate - Date of first drawdown
+ * @param {number} paymentDay - Day of the month instalments fall due (1-31)
+ * @param {number} n - Instalment number (1-indexed)
+ * @returns {Date} Due date
+ */
+function getDueDate(drawdownDate, paymentDay, n) {
+  const year = drawdownDate.getFullYear();
+  const month = drawdownDate.getMonth() + n;
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  return new Date(year, month, Math.min(paymentDay, daysInMonth));
+}
+
+/**
+ * Stamp calendar due dates on an existing schedule
+ * @param {array} schedule - Monthly schedule rows
+ * @param {Date} drawdownDate - Date of first drawdown
+ * @param {number} paymentDay - Day of the month instalments fall due
+ * @returns {array} The same rows with `dueDate` set
+ */
+function addDueDates(schedule, drawdownDate, paymentDay) {
+  schedule.forEach(row => {
+    row.dueDate = getDueDate(drawdownDate, paymentDay, row.month);
+  });
+  return schedule;
+}
+
+/**
+ * Fixed-rate loan on daily rest: interest accrues on actual days over 365
+ * The instalment is the usual monthly figure; the final instalment absorbs the
+ * difference that actual day counts leave on the balance.
+ * @param {number} principal - Loan amount
+ * @param {number} annualRate - Annual interest rate
+ * @param {number} tenureYears - Loan tenure in years
+ * @param {Date} drawdownDate - Date of first drawdown
+ * @param {number} paymentDay - Day of the month instalments fall due (1-31)
+ * @returns {object} Totals, payoff date and the dated schedule
+ */
+function calculateDailyRestLoan(principal, annualRate, tenureYears, drawdownDate, paymentDay) {
+  const totalMonths = tenureYears * 12;
+  const { monthlyPayment } = calculateMonthlyPayment(principal, annualRate, tenureYears);
+  const dayMs = 24 * 60 * 60 * 1000;
+
+  const schedule = [];
+  let balance = principal;
+  let cumulativeInterest = 0;
+  let cumulativePrincipal = 0;
+  let previousDate = drawdownDate;
+
+  for (let month = 1; month <= totalMonths && balance > 0.005; month++) {
+    const dueDate = getDueDate(drawdownDate, paymentDay, month);
+    // Round to whole days so daylight-saving shifts do not skew the count
+    const days = Math.round((dueDate - previousDate) / dayMs);
+    const interestPayment = balance * (annualRate / 100) * days / 365;
+
+    let payment = monthlyPayment;
+    let principalPayment = payment - interestPayment;
+
+    if (month === totalMonths || principalPayment >= balance) {
+      principalPayment = balance;
+      payment = balance + interestPayment;
+    }
+
+    balance = Math.max(0, balance - principalPayment);
+    cumulativeInterest += interestPayment;
+    cumulativePrincipal += principalPayment;
+    previousDate = dueDate;
+
+    schedule.push({
+      month,
+      year: Math.ceil(month / 12),
+      dueDate,
+      days,
+      payment: roundToTwoDecimals(payment),
+      principal: roundToTwoDecimals(principalPayment),
+      interest: roundToTwoDecimals(interestPayment),
+      balance: roundToTwoDecimals(balance),
+      cumulativeInterest: roundToTwoDecimals(cumulativeInterest),
+      cumulativePrincipal: roundToTwoDecimals(cumulativePrincipal)
+    });
+  }
+
+  return {
+    type: 'Daily Rest',
+    monthlyPayment,
+    totalInterest: roundToTwoDecimals(cumulativeInterest),
+    totalPayment: roundToTwoDecimals(cumulativeInterest + cumulativePrincipal),
+    firstDueDate: schedule[0].dueDate,
+    payoffDate: schedule[schedule.length - 1].dueDate,
+    schedule
+  };
+}
+
+/**
+ * Generate amortization schedule for a floating-rate loan (SBR + spread)
+ * @param {number} principal - Loan amount
+ * @param {number} baseRate - Reference rate at drawdown (e.g., SBR 2.75)
+ * @param {number} spread - Bank's spread over the reference rate
+ * @param {number} tenureYears - Loan tenure in years
+ * @param {array} rateChanges - [{ month, baseRate }] new reference rate effective from that month
+ * @param {string} adjustMode - 'fixedTenure' recomputes the instalment, 'fixedInstalment' extends the tenure
+ * @returns {object} Schedule and summary of payment changes
+ */
+function generateVariableRateSchedule(principal, baseRate, spread, tenureYears, rateChanges = [], adjustMode = 'fixedTenure') {
+  const totalMonths = tenureYears * 12;
+  const changes = [...rateChanges]
+    .filter(change => change.month >= 1)
+    .sort((a, b) => a.month - b.month);
+
+  let annualRate = baseRate + spread;
+  let monthlyPayment = calculateMonthlyPayment(principal, annualRate, tenureYears).monthlyPayment;
+
+  const schedule = [];
+  const paymentChanges = [];
+  let balance = principal;
+  let cumulativeInterest = 0;
+  let cumulativePrincipal = 0;
+  let month = 0;
+
+  // Safety net so a fixed instalment that barely amortizes cannot run forever
+  const maxMonths = totalMonths + 600;
+
+  while (balance > 0.005 && month < maxMonths) {
+    month++;
+    let rateChanged = false;
+
+    const change = changes.filter(c => c.month === month).pop();
+    if (change && change.baseRate + spread !== annualRate) {
+      annualRate = change.baseRate + spread;
+      rateChanged = true;
+
+      const remainingMonths = Math.max(1, totalMonths - month + 1);
+      if (adjustMode === 'fixedTenure') {
+        monthlyPayment = calculateMonthlyPayment(balance, annualRate, remainingMonths / 12).monthlyPayment;
+      }
+    }
+
+    const monthlyRate = annualRate / 100 / 12;
+    const interestPayment = balance * monthlyRate;
+
+    // Instalment no longer covers interest - bank will reprice over the remaining tenure
+    if (monthlyPayment <= interestPayment) {
+      const remainingMonths = Math.max(1, totalMonths - month + 1);
+      monthlyPayment = calculateMonthlyPayment(balance, annualRate, remainingMonths / 12).monthlyPayment;
+      rateChanged = true;
+    }
+
+    let payment = monthlyPayment;
+    let principalPayment = payment - interestPayment;
+
+    // Final instalment clears the remaining balance (including rounding residue)
+    if (balance - principalPayment < 10) {
+      principalPayment = balance;
+      payment = balance + interestPayment;
+    }
+
+    balance = Math.max(0, balance - principalPayment);
+    cumulativeInterest += interestPayment;
+    cumulativePrincipal += principalPayment;
+
+    if (rateChanged) {
+      paymentChanges.push({
+        month,
+        rate: roundToTwoDecimals(annualRate),
+        payment: roundToTwoDecimals(monthlyPayment)
+      });
+    }
+
+    schedule.push({
+      month,
+      year: Math.ceil(month / 12),
+      rate: roundToTwoDecimals(annualRate),
+      rateChanged,
+      payment: roundToTwoDecimals(payment),
+      principal: roundToTwoDecimals(principalPayment),
+      interest: roundToTwoDecimals(interestPayment),
+      balance: roundToTwoDecimals(balance),
+      cumulativeInterest: roundToTwoDecimals(cumulativeInterest),
+      cumulativePrincipal: roundToTwoDecimals(cumulativePrincipal)
+    });
+  }
+
+  const totalPayment = cumulativeInterest + cumulativePrincipal;
+
+  return {
+    schedule,
+    summary: {
+      initialRate: roundToTwoDecimals(baseRate + spread),
+      finalRate: roundToTwoDecimals(annualRate),
+      initialPayment: schedule.length ? schedule[0].payment : 0,
+      finalPayment: roundToTwoDecimals(monthlyPayment),
+      monthlyPayment: schedule.length ? schedule[0].payment : 0,
+      totalMonths: month,
+      totalYears: roundToTwoDecimals(month / 12),
+      extendedMonths: Math.max(0, month - totalMonths),
+      totalInterest: roundToTwoDecimals(cumulativeInterest),
+      totalPayment: roundToTwoDecimals(totalPayment),
+      adjustMode,
+      paymentChanges
+    }
+  };
+}
+
+/**
+ * Calculate blended results for a tiered (promotional) rate package
+ * @param {number} principal - Loan amount
+ * @param {array} tiers - [{ years, rate }] in order; the last tier (no years) applies thereafter
+ * @param {number} tenureYears - Loan tenure in years
+ * @returns {object} Instalment per tier, totals and effective average rate
+ */
+function calculateTieredRateLoan(principal, tiers, tenureYears) {
+  const totalMonths = tenureYears * 12;
+
+  // Convert tier durations into rate changes at each tier boundary
+  const rateChanges = [];
+  let startMonth = 1;
+  const periods = tiers.map((tier, index) => {
+    const isLast = index === tiers.length - 1 || !tier.years;
+    const endMonth = isLast ? totalMonths : Math.min(totalMonths, startMonth + tier.years * 12 - 1);
+    if (index > 0) rateChanges.push({ month: startMonth, baseRate: tier.rate });
+    const period = { fromMonth: startMonth, toMonth: endMonth, rate: tier.rate };
+    startMonth = endMonth + 1;
+    return period;
+  }).filter(period => period.fromMonth <= totalMonths);
+
+  const { schedule, summary } = generateVariableRateSchedule(
+    principal, tiers[0].rate, 0, tenureYears, rateChanges, 'fixedTenure'
+  );
+
+  const tierResults = periods.map(period => {
+    const rows = schedule.filter(row => row.month >= period.fromMonth && row.month <= period.toMonth);
+    const fromYear = Math.ceil(period.fromMonth / 12);
+    const toYear = Math.ceil(period.toMonth / 12);
+
+    let label = fromYear === toYear ? `Year ${fromYear}` : `Years ${fromYear}–${toYear}`;
+    if (period.toMonth === totalMonths && period.fromMonth > 1) {
+      label = `Year ${fromYear} onwards`;
+    }
+
+    return {
+      label,
+      fromMonth: period.fromMonth,
+      toMonth: period.toMonth,
+      rate: period.rate,
+      monthlyPayment: rows.length ? rows[0].payment : 0,
+      totalInterest: roundToTwoDecimals(rows.reduce((sum, row) => sum + row.interest, 0)),
+      totalPayment: roundToTwoDecimals(rows.reduce((sum, row) => sum + row.payment, 0))
+    };
+  });
+
+  return {
+    type: 'Tiered Rate',
+    monthlyPayment: summary.initialPayment,
+    tiers: tierResults,
+    totalInterest: summary.totalInterest,
+    totalPayment: summary.totalPayment,
+    averageRate: calculateEffectiveAverageRate(principal, schedule.map(row => row.payment)),
+    schedule
+  };
+}
+
+/**
+ * Schedule for an under-construction property with progressive disbursement
+ * The buyer's down payment settles the first billings; the bank releases each later
+ * billing as it falls due. Until vacant possession only interest on the amount drawn
+ * is paid, then the balance amortizes over the remaining tenure (counted from the
+ * first drawdown). A billing released after vacant possession re-prices the instalment.
+ * @param {number} loanAmount - Total loan amount
+ * @param {number} propertyPrice - Purchase price the billing percentages apply to
+ * @param {number} annualRate - Annual interest rate
+ * @param {number} tenureYears - Loan tenure in years
+ * @param {array} stages - [{ label, percent, month, key }] billing stages, month after SPA signing
+ * @returns {object} Disbursements, interest-only and repayment summaries, and the monthly schedule
+ */
+function calculateProgressiveDisbursement(loanAmount, propertyPrice, annualRate, tenureYears, stages = SCHEDULE_H.stages) {
+  const totalMonths = tenureYears * 12;
+  const monthlyRate = annualRate / 100 / 12;
+  const downPayment = Math.max(0, propertyPrice - loanAmount);
+  const ordered = stages
+    .map((stage, index) => ({ ...stage, index }))
+    .sort((a, b) => a.month - b.month || a.index - b.index);
+
+  // Bank share of each billing once the down payment is used up
+  let billedToDate = 0;
+  const disbursements = ordered.map(stage => {
+    const billed = propertyPrice * stage.percent / 100;
+    const drawnBefore = Math.min(loanAmount, Math.max(0, billedToDate - downPayment));
+    billedToDate += billed;
+    const drawnAfter = Math.min(loanAmount, Math.max(0, billedToDate - downPayment));
+
+    return {
+      label: stage.label,
+      percent: stage.percent,
+      stageMonth: stage.month,
+      billed: roundToTwoDecimals(billed),
+      drawdown: roundToTwoDecimals(drawnAfter - drawnBefore),
+      fromBuyer: roundToTwoDecimals(billed - (drawnAfter - drawnBefore))
+    };
+  });
+
+  const funded = disbursements.filter(item => item.drawdown > 0);
+  if (!funded.length) {
+    return { feasible: false, message: 'The down payment covers every billing, so nothing is drawn from the loan.' };
+  }
+
+  // Schedule months count from the first drawdown
+  const firstMonth = funded[0].stageMonth;
+  const vpStage = ordered.find(stage => stage.key === 'vacantPossession') || ordered[ordered.length - 1];
+  const constructionMonths = Math.max(0, vpStage.month - firstMonth);
+  if (constructionMonths >= totalMonths) {
+    return { feasible: false, message: 'The tenure ends before vacant possession. Increase the tenure or bring completion forward.' };
+  }
+
+  disbursements.forEach(item => {
+    item.month = item.drawdown > 0 ? item.stageMonth - firstMonth + 1 : null;
+  });
+
+  const schedule = [];
+  const paymentChanges = [];
+  let balance = 0;
+  let monthlyPayment = 0;
+  let cumulativeInterest = 0;
+  let cumulativePrincipal = 0;
+  let interestOnlyInterest = 0;
+
+  for (let month = 1; month <= totalMonths; month++) {
+    const drawdown = funded
+      .filter(item => item.month === month)
+      .reduce((sum, item) => sum + item.drawdown, 0);
+    balance += drawdown;
+
+    const constructing = month <= constructionMonths;
+    const interestPayment = balance * monthlyRate;
+    let rateChanged = false;
+
+    if (!constructing && (month === constructionMonths + 1 || drawdown > 0)) {
+      monthlyPayment = calculateMonthlyPayment(balance, annualRate, (totalMonths - month + 1) / 12).monthlyPayment;
+      rateChanged = true;
+      paymentChanges.push({ month, payment: roundToTwoDecimals(monthlyPayment) });
+    }
+
+    let payment = constructing ? interestPayment : monthlyPayment;
+    let principalPayment = payment - interestPayment;
+
+    // Final instalment clears the remaining balance (including rounding residue)
+    if (!constructing && (month === totalMonths || balance - principalPayment < 0.005)) {
+      principalPayment = balance;
+      payment = balance + interestPayment;
+    }
+
+    balance = Math.max(0, balance - principalPayment);
+    cumulativeInterest += interestPayment;
+    cumulativePrincipal += principalPayment;
+    if (constructing) interestOnlyInterest += interestPayment;
+
+    schedule.push({
+      month,
+      year: Math.ceil(month / 12),
+      phase: constructing ? 'construction' : 'repayment',
+      rateChanged,
+      drawdown: roundToTwoDecimals(drawdown),
+      payment: roundToTwoDecimals(payment),
+      principal: roundToTwoDecimals(principalPayment),
+      interest: roundToTwoDecimals(interestPayment),
+      balance: roundToTwoDecimals(balance),
+      cumulativeInterest: roundToTwoDecimals(cumulativeInterest),
+      cumulativePrincipal: roundToTwoDecimals(cumulativePrincipal)
+    });
+  }
+
+  const interestOnlyRows = schedule.filter(row => row.phase === 'construction');
+
+  return {
+    feasible: true,
+    type: 'Progressive Disbursement',
+    monthlyPayment: roundToTwoDecimals(monthlyPayment || paymentChanges[0]?.payment || 0),
+    disbursements,
+    constructionMonths,
+    interestOnly: {
+      months: constructionMonths,
+      firstPayment: interestOnlyRows.length ? interestOnlyRows[0].payment : 0,
+      lastPayment: interestOnlyRows.length ? interestOnlyRows[interestOnlyRows.length - 1].payment : 0,
+      totalInterest: roundToTwoDecimals(interestOnlyInterest)
+    },
+    repaymentMonths: totalMonths - constructionMonths,
+    paymentChanges,
+    totalInterest: roundToTwoDecimals(cumulativeInterest),
+    totalPayment: roundToTwoDecimals(cumulativeInterest + cumulativePrincipal),
+    schedule
+  };
+}
+
+/**
+ * Find the single fixed rate that produces the same payment stream (IRR)
+ * @param {number} principal - Loan amount
+ * @param {array} payments - Monthly payments in order
+ * @returns {number} Annual rate in percent
+ */
+function calculateEffectiveAverageRate(principal, payments) {
+  const presentValue = (annualRate) => {
+    const monthlyRate = annualRate / 100 / 12;
+    return payments.reduce((sum, payment, i) => sum + payment / Math.pow(1 + monthlyRate, i + 1), 0);
+  };
+
+  // Bisection: present value falls as the rate rises
+  let low = 0;
+  let high = 50;
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (presentValue(mid) > principal) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return roundToTwoDecimals((low + high) / 2);
+}
+
 /**
  * Calculate impact of extra payments
  * @param {number} principal - Original loan amount
@@ -84,175 +505,1217 @@ function generateAmortizationSchedule(principal, annualRate, tenureYears) {
  * @param {number} extraMonthly - Extra monthly payment
  * @param {number} lumpSum - One-time extra payment
  * @param {number} lumpSumMonth - Month to apply lump sum (1-indexed)
+ * @param {array} rules - Further prepayment rules (see getPrepaymentForMonth)
+ * @param {string} mode - Key of PREPAYMENT_MODES
  * @returns {object} Comparison with and without extra payments
  */
-function calculateExtraPaymentImpact(principal, annualRate, tenureYears, extraMonthly = 0, lumpSum = 0, lumpSumMonth = 1) {
+function calculateExtraPaymentImpact(principal, annualRate, tenureYears, extraMonthly = 0, lumpSum = 0, lumpSumMonth = 1, rules = [], mode = 'reduceTenure') {
+  const allRules = [...rules];
+  if (extraMonthly > 0) allRules.unshift({ type: 'recurring', amount: extraMonthly, startMonth: 1, frequency: 1 });
+  if (lumpSum > 0) allRules.unshift({ type: 'oneOff', amount: lumpSum, startMonth: lumpSumMonth });
+
+  const plan = calculatePrepaymentPlan(principal, annualRate, tenureYears, allRules, mode);
+  // The monthly outlay is the instalment plus the top-up; under reduce instalment that is
+  // the instalment the recalculations end on
+  const instalment = mode === 'reduceInstalment' ? plan.withExtraPayments.finalInstalment : plan.original.monthlyPayment;
+  plan.withExtraPayments.monthlyPayment = roundToTwoDecimals(instalment + extraMonthly);
+  return plan;
+}
+
+/**
+ * Prepayment due in a month under a list of rules
+ * - recurring: `amount` every `frequency` months from `startMonth` to `endMonth`
+ * - oneOff: `amount` in `startMonth`
+ * - salaryIncrement: `share`% of the rise in a monthly `amount` (salary) that grows by
+ *   `incrementRate`% every 12 months from `startMonth`, prepaid monthly until `endMonth`
+ * @param {array} rules - Prepayment rules
+ * @param {number} month - Loan month (1-indexed)
+ * @returns {number} Total prepayment for the month
+ */
+function getPrepaymentForMonth(rules, month) {
+  return rules.reduce((total, rule) => {
+    const start = rule.startMonth || 1;
+    if (month < start || (rule.endMonth && month > rule.endMonth)) return total;
+
+    if (rule.type === 'oneOff') {
+      return month === start ? total + rule.amount : total;
+    }
+
+    if (rule.type === 'salaryIncrement') {
+      const increments = Math.floor((month - start) / 12) + 1;
+      const rise = rule.amount * (Math.pow(1 + (rule.incrementRate || 0) / 100, increments) - 1);
+      return total + rise * (rule.share || 0) / 100;
+    }
+
+    const frequency = rule.frequency || 1;
+    return (month - start) % frequency === 0 ? total + rule.amount : total;
+  }, 0);
+}
+
+/**
+ * Month-by-month schedule with prepayments applied alongside each instalment
+ * - reduceTenure: the instalment stays the same, so prepayments shorten the tenure
+ * - reduceInstalment: the instalment is recalculated over the remaining original tenure
+ *   after every prepayment
+ * - flexiOffset: prepayments sit in a redrawable account that offsets the balance for
+ *   interest; the loan is settled once the account covers the outstanding balance. This
+ *   is a full flexi loan with deposits only and no fees (see calculateFlexiLoan)
+ * @param {number} principal - Original loan amount
+ * @param {number} annualRate - Annual interest rate
+ * @param {number} tenureYears - Original tenure
+ * @param {array} rules - Prepayment rules (see getPrepaymentForMonth)
+ * @param {string} mode - Key of PREPAYMENT_MODES
+ * @returns {object} Comparison with and without prepayments, and the schedule
+ */
+function calculatePrepaymentPlan(principal, annualRate, tenureYears, rules = [], mode = 'reduceTenure') {
   const original = calculateMonthlyPayment(principal, annualRate, tenureYears);
   const monthlyRate = annualRate / 100 / 12;
+  const originalTotalMonths = tenureYears * 12;
+  const summary = {
+    monthlyPayment: original.monthlyPayment,
+    totalMonths: originalTotalMonths,
+    totalYears: tenureYears,
+    totalInterest: original.totalInterest,
+    totalPayment: original.totalPayment
+  };
+
+  if (mode === 'flexiOffset') {
+    const { flexi, schedule } = calculateFlexiLoan(principal, annualRate, tenureYears, rules, { type: 'full' });
+    // Deposits not left in the account went towards settling the loan
+    const totalPrepaid = roundToTwoDecimals(flexi.totalDeposited - flexi.redrawBalance);
+    const totalPayment = roundToTwoDecimals(principal + flexi.totalInterest);
+
+    return {
+      mode,
+      original: summary,
+      withExtraPayments: {
+        monthlyPayment: original.monthlyPayment,
+        finalInstalment: original.monthlyPayment,
+        totalMonths: flexi.totalMonths,
+        totalYears: flexi.totalYears,
+        totalInterest: flexi.totalInterest,
+        totalPayment,
+        totalPrepaid,
+        // Flexi deposits left over after settlement stay with the borrower
+        redrawBalance: flexi.redrawBalance
+      },
+      savings: {
+        monthsSaved: originalTotalMonths - flexi.totalMonths,
+        yearsSaved: roundToTwoDecimals((originalTotalMonths - flexi.totalMonths) / 12),
+        interestSaved: roundToTwoDecimals(original.totalInterest - flexi.totalInterest),
+        totalSaved: roundToTwoDecimals(original.totalPayment - totalPayment)
+      },
+      schedule: schedule.map(row => ({
+        month: row.month,
+        year: row.year,
+        payment: row.payment,
+        prepayment: row.deposit,
+        principal: row.principal,
+        interest: row.interest,
+        balance: row.balance,
+        offset: row.redraw,
+        rateChanged: false,
+        cumulativeInterest: row.cumulativeInterest,
+        cumulativePrincipal: row.cumulativePrincipal
+      }))
+    };
+  }
+
+  // One-off lump sums come off the balance before that month's interest is charged;
+  // regular prepayments are made alongside the instalment
+  const lumpSumRules = rules.filter(rule => rule.type === 'oneOff');
+  const regularRules = rules.filter(rule => rule.type !== 'oneOff');
 
-  // Calculate with extra payments
+  const schedule = [];
   let balance = principal;
+  let instalment = original.monthlyPayment;
+  let finalInstalment = instalment;
   let month = 0;
   let totalInterestPaid = 0;
   let totalPaid = 0;
+  let totalPrepaid = 0;
+  let cumulativePrincipal = 0;
 
-  while (balance > 0) {
+  while (balance > 0.005 && month < originalTotalMonths) {
     month++;
 
-    // Apply lump sum if it's the specified month
-    if (month === lumpSumMonth && lumpSum > 0) {
-      balance = Math.max(0, balance - lumpSum);
-      totalPaid += lumpSum;
-    }
-
-    if (balance <= 0) break;
+    const lumpSum = Math.min(getPrepaymentForMonth(lumpSumRules, month), balance);
+    balance -= lumpSum;
 
     const interestPayment = balance * monthlyRate;
-    const regularPrincipal = original.monthlyPayment - interestPayment;
-    const totalPrincipalPayment = regularPrincipal + extraMonthly;
+    let payment = Math.min(instalment, balance + interestPayment);
+    let principalPayment = payment - interestPayment;
+
+    // Final scheduled month clears any rounding residue
+    if (month === originalTotalMonths) {
+      principalPayment = balance;
+      payment = balance + interestPayment;
+    } else if (payment === instalment) {
+      // Last instalment billed in full, not a smaller amount that settles the loan
+      finalInstalment = instalment;
+    }
 
-    // If remaining balance is less than payment
-    if (balance <= totalPrincipalPayment + interestPayment) {
-      totalInterestPaid += interestPayment;
-      totalPaid += balance + interestPayment;
-      balance = 0;
-    } else {
-      balance -= totalPrincipalPayment;
-      totalInterestPaid += interestPayment;
-      totalPaid += original.monthlyPayment + extraMonthly;
+    const regularPrepayment = Math.min(getPrepaymentForMonth(regularRules, month), balance - principalPayment);
+    balance = Math.max(0, balance - principalPayment - regularPrepayment);
+    const prepayment = lumpSum + regularPrepayment;
+
+    const instalmentChanged = mode === 'reduceInstalment' && prepayment > 0 && balance > 0.005;
+    if (instalmentChanged) {
+      instalment = calculateMonthlyPayment(balance, annualRate, (originalTotalMonths - month) / 12).monthlyPayment;
     }
-  }
 
-  const originalTotalMonths = tenureYears * 12;
+    totalInterestPaid += interestPayment;
+    totalPaid += payment + prepayment;
+    totalPrepaid += prepayment;
+    cumulativePrincipal += principalPayment + prepayment;
+
+    schedule.push({
+      month,
+      year: Math.ceil(month / 12),
+      payment: roundToTwoDecimals(payment),
+      prepayment: roundToTwoDecimals(prepayment),
+      principal: roundToTwoDecimals(principalPayment),
+      interest: roundToTwoDecimals(interestPayment),
+      balance: roundToTwoDecimals(balance),
+      rateChanged: instalmentChanged,
+      cumulativeInterest: roundToTwoDecimals(totalInterestPaid),
+      cumulativePrincipal: roundToTwoDecimals(cumulativePrincipal)
+    });
+  }
 
   return {
-    original: {
-      monthlyPayment: original.monthlyPayment,
-      totalMonths: originalTotalMonths,
-      totalYears: tenureYears,
-      totalInterest: original.totalInterest,
-      totalPayment: original.totalPayment
-    },
+    mode,
+    original: summary,
     withExtraPayments: {
-      monthlyPayment: original.monthlyPayment + extraMonthly,
+      monthlyPayment: original.monthlyPayment,
+      finalInstalment: roundToTwoDecimals(finalInstalment),
       totalMonths: month,
       totalYears: roundToTwoDecimals(month / 12),
       totalInterest: roundToTwoDecimals(totalInterestPaid),
-      totalPayment: roundToTwoDecimals(totalPaid)
+      totalPayment: roundToTwoDecimals(totalPaid),
+      totalPrepaid: roundToTwoDecimals(totalPrepaid),
+      // Prepayments go straight to the loan, so nothing is left to redraw
+      redrawBalance: 0
     },
     savings: {
       monthsSaved: originalTotalMonths - month,
       yearsSaved: roundToTwoDecimals((originalTotalMonths - month) / 12),
       interestSaved: roundToTwoDecimals(original.totalInterest - totalInterestPaid),
       totalSaved: roundToTwoDecimals(original.totalPayment - totalPaid)
+    },
+    schedule
+  };
+}
+
+/**
+ * Flexi loan simulator: deposits into and withdrawals from a redraw facility
+ * - full: deposits sit in a linked current account that offsets the balance for interest
+ * - semiFlexi: deposits are advance payments that reduce the balance; a withdrawal
+ *   re-borrows from it
+ * The redraw balance is what has been deposited and not yet withdrawn. A full flexi
+ * loan is settled from the account once it covers the outstanding balance.
+ * @param {number} principal - Loan amount
+ * @param {number} annualRate - Annual interest rate
+ * @param {number} tenureYears - Loan tenure in years
+ * @param {array} plan - Entries of { action: 'deposit'|'withdrawal', amount, startMonth,
+ *   endMonth, frequency }, scheduled as recurring prepayment rules
+ * @param {object} options - type (key of FLEXI_LOAN_TYPES), annualFee, redrawFee
+ * @returns {object} Term loan and flexi totals, savings net of fees, and the schedule
+ */
+function calculateFlexiLoan(principal, annualRate, tenureYears, plan = [], options = {}) {
+  const { type = 'full', annualFee = 0, redrawFee = 0 } = options;
+  const isSemiFlexi = type === 'semiFlexi';
+  const { monthlyPayment } = calculateMonthlyPayment(principal, annualRate, tenureYears);
+  const monthlyRate = annualRate / 100 / 12;
+  const totalMonths = tenureYears * 12;
+
+  // Baseline: the same loan as a plain term loan
+  const termSchedule = generateAmortizationSchedule(principal, annualRate, tenureYears);
+  const termInterest = termSchedule[termSchedule.length - 1].cumulativeInterest;
+
+  const deposits = plan.filter(entry => entry.action !== 'withdrawal');
+  const withdrawals = plan.filter(entry => entry.action === 'withdrawal');
+
+  const schedule = [];
+  let balance = principal;
+  let redraw = 0;
+  let month = 0;
+  let totalInterest = 0;
+  let totalFees = 0;
+  let totalDeposited = 0;
+  let totalWithdrawn = 0;
+  let peakRedraw = 0;
+  let cumulativePrincipal = 0;
+
+  while (balance > 0.005 && month < totalMonths) {
+    month++;
+
+    const interestPayment = Math.max(0, balance - (isSemiFlexi ? 0 : redraw)) * monthlyRate;
+    let payment = Math.min(monthlyPayment, balance + interestPayment);
+    let principalPayment = payment - interestPayment;
+
+    // Final scheduled month clears any rounding residue
+    if (month === totalMonths) {
+      principalPayment = balance;
+      payment = balance + interestPayment;
     }
+    balance -= principalPayment;
+
+    // An advance payment cannot exceed what is left on the loan
+    let deposit = getPrepaymentForMonth(deposits, month);
+    if (isSemiFlexi) deposit = Math.min(deposit, balance);
+    const withdrawal = Math.min(getPrepaymentForMonth(withdrawals, month), redraw + deposit);
+
+    redraw += deposit - withdrawal;
+    let principalReduction = principalPayment;
+    if (isSemiFlexi) {
+      balance -= deposit - withdrawal;
+      principalReduction += deposit - withdrawal;
+    } else if (balance > 0.005 && redraw >= balance) {
+      // Settle from the current account; whatever is left stays with the borrower
+      redraw -= balance;
+      principalReduction += balance;
+      balance = 0;
+    }
+    // Semi-flexi advances are used up once they have repaid the loan
+    if (isSemiFlexi && balance <= 0.005) redraw = 0;
+
+    // Facility fee at the start of each loan year, redraw fee per withdrawal
+    const fee = ((month - 1) % 12 === 0 ? annualFee : 0) + (withdrawal > 0 ? redrawFee : 0);
+
+    totalInterest += interestPayment;
+    totalFees += fee;
+    totalDeposited += deposit;
+    totalWithdrawn += withdrawal;
+    cumulativePrincipal += principalReduction;
+    peakRedraw = Math.max(peakRedraw, redraw);
+
+    schedule.push({
+      month,
+      year: Math.ceil(month / 12),
+      payment: roundToTwoDecimals(payment),
+      deposit: roundToTwoDecimals(deposit),
+      withdrawal: roundToTwoDecimals(withdrawal),
+      principal: roundToTwoDecimals(principalPayment),
+      interest: roundToTwoDecimals(interestPayment),
+      fee: roundToTwoDecimals(fee),
+      balance: roundToTwoDecimals(Math.max(0, balance)),
+      redraw: roundToTwoDecimals(redraw),
+      cumulativeInterest: roundToTwoDecimals(totalInterest),
+      cumulativePrincipal: roundToTwoDecimals(cumulativePrincipal)
+    });
+  }
+
+  const flexiInterest = roundToTwoDecimals(totalInterest);
+  const interestSaved = roundToTwoDecimals(termInterest - flexiInterest);
+
+  return {
+    type,
+    monthlyPayment,
+    term: {
+      totalMonths,
+      totalYears: tenureYears,
+      totalInterest: termInterest,
+      totalPayment: roundToTwoDecimals(principal + termInterest)
+    },
+    flexi: {
+      totalMonths: month,
+      totalYears: roundToTwoDecimals(month / 12),
+      totalInterest: flexiInterest,
+      totalFees: roundToTwoDecimals(totalFees),
+      totalDeposited: roundToTwoDecimals(totalDeposited),
+      totalWithdrawn: roundToTwoDecimals(totalWithdrawn),
+      peakRedraw: roundToTwoDecimals(peakRedraw),
+      redrawBalance: roundToTwoDecimals(redraw)
+    },
+    savings: {
+      interestSaved,
+      netSaving: roundToTwoDecimals(interestSaved - totalFees),
+      monthsSaved: totalMonths - month
+    },
+    schedule
+  };
+}
+
+/**
+ * Schedule with payment holidays and missed instalments
+ * - deferral: no instalment is due; the month's interest is either capitalised into the
+ *   balance or held as deferred interest that bears no further interest
+ * - missed: the instalment falls into arrears; its interest is capitalised and late
+ *   charges accrue on the arrears at `lateChargeRate`% p.a. until payments resume
+ * When payments resume the arrears are rescheduled into the loan, accrued charges are
+ * paid with the first instalment, and deferred interest is repaid in equal parts over
+ * the rest of the original tenure. `adjust` then either recalculates the instalment over
+ * that remaining tenure or keeps it unchanged so the tenure extends.
+ * @param {number} principal - Loan amount
+ * @param {number} annualRate - Annual interest rate
+ * @param {number} tenureYears - Loan tenure in years
+ * @param {array} events - Entries of { type: 'deferral'|'missed', startMonth, months }
+ * @param {object} options - capitaliseInterest, adjust ('instalment'|'tenure'), lateChargeRate
+ * @returns {object} Totals against an uninterrupted loan, the extra cost and the schedule,
+ *   or { feasible: false, message } when the instalment no longer covers the interest
+ */
+function calculatePaymentDisruption(principal, annualRate, tenureYears, events = [], options = {}) {
+  const { capitaliseInterest = true, adjust = 'tenure', lateChargeRate = LATE_PAYMENT.chargeRate } = options;
+  const monthlyRate = annualRate / 100 / 12;
+  const totalMonths = tenureYears * 12;
+  const originalPayment = calculateMonthlyPayment(principal, annualRate, tenureYears).monthlyPayment;
+  // Extending the tenure past the maximum allowed means the loan no longer amortises
+  const maxMonths = totalMonths + 35 * 12;
+
+  const schedule = [];
+  let balance = principal;
+  let instalment = originalPayment;
+  let deferredInterest = 0;
+  let deferredShare = 0;
+  let arrears = 0;
+  let pendingCharges = 0;
+  let disrupted = false;
+  let month = 0;
+  let totalInterest = 0;
+  let totalCharges = 0;
+  let totalPaid = 0;
+  let cumulativePrincipal = 0;
+  const paymentChanges = [];
+
+  while ((balance > 0.005 || deferredInterest > 0.005) && month < maxMonths) {
+    month++;
+
+    const event = events.find(entry => month >= entry.startMonth && month < entry.startMonth + entry.months);
+    const interestCharged = balance * monthlyRate;
+    totalInterest += interestCharged;
+
+    if (event) {
+      if (event.type === 'missed') {
+        arrears += instalment;
+        balance += interestCharged;
+      } else if (capitaliseInterest) {
+        balance += interestCharged;
+      } else {
+        deferredInterest += interestCharged;
+      }
+
+      const charge = arrears * lateChargeRate / 100 / 12;
+      pendingCharges += charge;
+      totalCharges += charge;
+      disrupted = true;
+
+      schedule.push({
+        month,
+        year: Math.ceil(month / 12),
+        status: event.type,
+        payment: 0,
+        principal: 0,
+        interest: roundToTwoDecimals(interestCharged),
+        charges: roundToTwoDecimals(charge),
+        arrears: roundToTwoDecimals(arrears),
+        deferredInterest: roundToTwoDecimals(deferredInterest),
+        balance: roundToTwoDecimals(balance),
+        cumulativeInterest: roundToTwoDecimals(totalInterest),
+        cumulativePrincipal: roundToTwoDecimals(cumulativePrincipal)
+      });
+      continue;
+    }
+
+    // First month back: reschedule the arrears and recompute
+    let rateChanged = false;
+    if (disrupted) {
+      const remainingMonths = Math.max(1, totalMonths - month + 1);
+      deferredShare = deferredInterest / remainingMonths;
+      if (adjust === 'instalment') {
+        instalment = calculateMonthlyPayment(balance, annualRate, remainingMonths / 12).monthlyPayment +
+          roundToTwoDecimals(deferredShare);
+      }
+      paymentChanges.push({ month, payment: roundToTwoDecimals(instalment) });
+      arrears = 0;
+      disrupted = false;
+      rateChanged = true;
+    }
+
+    const deferredPaid = Math.min(deferredShare, deferredInterest);
+    let principalPayment = instalment - deferredPaid - interestCharged;
+
+    if (principalPayment <= 0 && adjust === 'tenure') {
+      return {
+        feasible: false,
+        message: 'The instalment no longer covers the interest after the deferral; adjust the instalment instead'
+      };
+    }
+
+    // Clear the loan once the instalment covers it, or at the end of the original tenure
+    // unless a deferral has extended it
+    const settle = principalPayment >= balance ||
+      (month >= totalMonths && (adjust === 'instalment' || !paymentChanges.length));
+    const deferredSettled = settle ? deferredInterest : deferredPaid;
+    if (settle) principalPayment = balance;
+
+    const payment = principalPayment + interestCharged + deferredSettled + pendingCharges;
+    const charges = pendingCharges;
+
+    balance -= principalPayment;
+    deferredInterest -= deferredSettled;
+    pendingCharges = 0;
+    totalPaid += payment;
+    cumulativePrincipal += principalPayment;
+
+    schedule.push({
+      month,
+      year: Math.ceil(month / 12),
+      status: 'paid',
+      payment: roundToTwoDecimals(payment),
+      principal: roundToTwoDecimals(principalPayment),
+      interest: roundToTwoDecimals(interestCharged + deferredSettled),
+      charges: roundToTwoDecimals(charges),
+      arrears: 0,
+      deferredInterest: roundToTwoDecimals(deferredInterest),
+      balance: roundToTwoDecimals(Math.max(0, balance)),
+      rateChanged,
+      cumulativeInterest: roundToTwoDecimals(totalInterest),
+      cumulativePrincipal: roundToTwoDecimals(cumulativePrincipal)
+    });
+  }
+
+  const result = {
+    feasible: true,
+    monthlyPayment: roundToTwoDecimals(instalment),
+    totalMonths: month,
+    totalYears: roundToTwoDecimals(month / 12),
+    totalInterest: roundToTwoDecimals(totalInterest),
+    totalCharges: roundToTwoDecimals(totalCharges),
+    totalPayment: roundToTwoDecimals(totalPaid),
+    paymentChanges,
+    schedule
+  };
+  if (!events.length) return result;
+
+  // The same engine without disruptions, so rounding does not show up as a cost
+  const baseline = calculatePaymentDisruption(principal, annualRate, tenureYears, [], options);
+  const extraInterest = roundToTwoDecimals(result.totalInterest - baseline.totalInterest);
+
+  return {
+    ...result,
+    baseline: {
+      monthlyPayment: baseline.monthlyPayment,
+      totalMonths: baseline.totalMonths,
+      totalInterest: baseline.totalInterest,
+      totalPayment: baseline.totalPayment
+    },
+    extraInterest,
+    extraCost: roundToTwoDecimals(extraInterest + result.totalCharges),
+    extendedMonths: month - baseline.totalMonths,
+    deferredMonths: schedule.filter(row => row.status !== 'paid').length
+  };
+}
+
+/**
+ * Months elapsed and remaining on a loan from its first instalment date
+ * @param {Date} loanDate - Date the loan was drawn down
+ * @param {number} tenureYears - Original tenure in years
+ * @param {Date} asOf - Valuation date (defaults to today)
+ * @returns {object} monthsElapsed and remainingMonths (never below zero)
+ */
+function calculateRemainingTenure(loanDate, tenureYears, asOf = new Date()) {
+  let monthsElapsed = (asOf.getFullYear() - loanDate.getFullYear()) * 12 + (asOf.getMonth() - loanDate.getMonth());
+  if (asOf.getDate() < loanDate.getDate()) monthsElapsed--;
+  monthsElapsed = Math.max(0, monthsElapsed);
+
+  return {
+    monthsElapsed,
+    remainingMonths: Math.max(0, tenureYears * 12 - monthsElapsed)
   };
 }
 
 /**
  * Compare refinancing options
+ * Savings are measured like for like: the current loan against the share of the new
+ * instalment that repays the current balance. Any cash-out is costed separately, and
+ * break-even is the first month cumulative savings recover the closing costs and any
+ * early-settlement penalty.
+ * Because the two loans can run for different terms, the horizon view compares total
+ * outflow over the same period, settling each outstanding balance at its end, both in
+ * cash and discounted to present value. The verdict rests on that horizon view (its
+ * present value when a discount rate is given), not on lifetime totals over unequal terms.
  * @param {object} currentLoan - Current loan details
  * @param {object} newLoan - Proposed new loan
- * @returns {object} Comparison analysis
+ * @param {object} options - horizonMonths (defaults to the longer term), discountRate (% p.a.)
+ * @returns {object} Comparison analysis with a month-by-month savings curve
+ */
+function compareRefinancing(currentLoan, newLoan, options = {}) {
+  // Current loan: { balance, rate, remainingYears or remainingMonths, monthsElapsed, lockInYears, penaltyRate }
+  // New loan: { rate, tenureYears, closingCosts, cashOut }
+  const remainingMonths = currentLoan.remainingMonths || currentLoan.remainingYears * 12;
+  const newMonths = newLoan.tenureYears * 12;
+  const cashOut = newLoan.cashOut || 0;
+  const newPrincipal = currentLoan.balance + cashOut;
+
+  const current = calculateMonthlyPayment(currentLoan.balance, currentLoan.rate, remainingMonths / 12);
+  const newCalc = calculateMonthlyPayment(newPrincipal, newLoan.rate, newLoan.tenureYears);
+
+  // Same rate and tenure, so the instalment splits in proportion to principal
+  const refinanceShare = currentLoan.balance / newPrincipal;
+  const refinancePayment = newCalc.monthlyPayment * refinanceShare;
+  const refinanceInterest = newCalc.totalInterest * refinanceShare;
+
+  // Early-settlement penalty applies while the current loan is still locked in
+  const monthsElapsed = currentLoan.monthsElapsed ?? null;
+  const lockInMonths = (currentLoan.lockInYears || 0) * 12;
+  const withinLockIn = monthsElapsed !== null && monthsElapsed < lockInMonths;
+  const penalty = withinLockIn ? currentLoan.balance * (currentLoan.penaltyRate || 0) / 100 : 0;
+  const upfrontCosts = newLoan.closingCosts + penalty;
+
+  const monthlyDifference = current.monthlyPayment - refinancePayment;
+  const totalInterestDifference = current.totalInterest - refinanceInterest;
+
+  const savingsCurve = [];
+  let cumulative = -upfrontCosts;
+  let breakEvenMonths = upfrontCosts <= 0 && monthlyDifference >= 0 ? 0 : Infinity;
+
+  for (let month = 1; month <= Math.max(remainingMonths, newMonths); month++) {
+    const currentPayment = month <= remainingMonths ? current.monthlyPayment : 0;
+    const refinancedPayment = month <= newMonths ? refinancePayment : 0;
+    cumulative += currentPayment - refinancedPayment;
+    if (breakEvenMonths === Infinity && cumulative >= 0) breakEvenMonths = month;
+
+    savingsCurve.push({
+      month,
+      year: Math.ceil(month / 12),
+      currentPayment: roundToTwoDecimals(currentPayment),
+      refinancedPayment: roundToTwoDecimals(refinancedPayment),
+      cumulativeSavings: roundToTwoDecimals(cumulative)
+    });
+  }
+
+  // Lifetime interest difference net of costs; the two terms can differ
+  const netSavings = totalInterestDifference - upfrontCosts;
+
+  // Equal horizon: payments up to the horizon plus the balance still owed at that point
+  const fullTerm = Math.max(remainingMonths, newMonths);
+  const horizonMonths = Math.min(options.horizonMonths || fullTerm, fullTerm);
+  const monthlyDiscount = (options.discountRate || 0) / 100 / 12;
+  const discountFactor = month => Math.pow(1 + monthlyDiscount, -month);
+  const balanceAfter = (principal, annualRate, payment, termMonths, months) => {
+    if (months >= termMonths) return 0;
+    const rate = annualRate / 100 / 12;
+    if (rate === 0) return Math.max(0, principal - payment * months);
+    const growth = Math.pow(1 + rate, months);
+    return Math.max(0, principal * growth - payment * (growth - 1) / rate);
+  };
+
+  const currentBalance = balanceAfter(currentLoan.balance, currentLoan.rate, current.monthlyPayment, remainingMonths, horizonMonths);
+  const refinancedBalance = balanceAfter(currentLoan.balance, newLoan.rate, refinancePayment, newMonths, horizonMonths);
+  const horizonRows = savingsCurve.slice(0, horizonMonths);
+
+  const currentPayments = horizonRows.reduce((sum, row) => sum + row.currentPayment, 0);
+  const refinancedPayments = horizonRows.reduce((sum, row) => sum + row.refinancedPayment, 0);
+  const currentPV = horizonRows.reduce((sum, row) => sum + row.currentPayment * discountFactor(row.month), 0) +
+    currentBalance * discountFactor(horizonMonths);
+  const refinancedPV = upfrontCosts +
+    horizonRows.reduce((sum, row) => sum + row.refinancedPayment * discountFactor(row.month), 0) +
+    refinancedBalance * discountFactor(horizonMonths);
+
+  const currentOutflow = currentPayments + currentBalance;
+  const refinancedOutflow = upfrontCosts + refinancedPayments + refinancedBalance;
+  const horizonSavings = currentOutflow - refinancedOutflow;
+  const npvSavings = currentPV - refinancedPV;
+
+  return {
+    current: {
+      monthlyPayment: current.monthlyPayment,
+      totalInterest: current.totalInterest,
+      totalPayment: current.totalPayment,
+      remainingMonths,
+      monthsElapsed,
+      withinLockIn,
+      lockInMonthsLeft: withinLockIn ? lockInMonths - monthsElapsed : 0
+    },
+    refinanced: {
+      loanAmount: roundToTwoDecimals(newPrincipal),
+      monthlyPayment: newCalc.monthlyPayment,
+      totalInterest: newCalc.totalInterest,
+      totalPayment: roundToTwoDecimals(newCalc.totalPayment + upfrontCosts),
+      newTenureMonths: newMonths,
+      closingCosts: newLoan.closingCosts,
+      penalty: roundToTwoDecimals(penalty),
+      upfrontCosts: roundToTwoDecimals(upfrontCosts)
+    },
+    cashOut: {
+      amount: cashOut,
+      monthlyPayment: roundToTwoDecimals(newCalc.monthlyPayment - refinancePayment),
+      totalInterest: roundToTwoDecimals(newCalc.totalInterest - refinanceInterest)
+    },
+    comparison: {
+      monthlyDifference: roundToTwoDecimals(monthlyDifference),
+      totalInterestSaved: roundToTwoDecimals(totalInterestDifference),
+      breakEvenMonths: breakEvenMonths === Infinity ? 'N/A' : breakEvenMonths,
+      breakEvenYears: breakEvenMonths === Infinity ? 'N/A' : roundToTwoDecimals(breakEvenMonths / 12),
+      netSavings: roundToTwoDecimals(netSavings),
+      worthRefinancing: (monthlyDiscount > 0 ? npvSavings : horizonSavings) > 0
+    },
+    horizon: {
+      months: horizonMonths,
+      discountRate: options.discountRate || 0,
+      current: {
+        payments: roundToTwoDecimals(currentPayments),
+        balance: roundToTwoDecimals(currentBalance),
+        totalOutflow: roundToTwoDecimals(currentOutflow),
+        presentValue: roundToTwoDecimals(currentPV)
+      },
+      refinanced: {
+        upfrontCosts: roundToTwoDecimals(upfrontCosts),
+        payments: roundToTwoDecimals(refinancedPayments),
+        balance: roundToTwoDecimals(refinancedBalance),
+        totalOutflow: roundToTwoDecimals(refinancedOutflow),
+        presentValue: roundToTwoDecimals(refinancedPV)
+      },
+      savings: roundToTwoDecimals(horizonSavings),
+      npvSavings: roundToTwoDecimals(npvSavings)
+    },
+    savingsCurve
+  };
+}
+
+/**
+ * Run one loan against a list of banks
+ * @param {number} loanAmount - Loan amount
+ * @param {number} tenureYears - Loan tenure in years
+ * @param {array} banks - Bank entries from MALAYSIAN_BANKS
+ * @returns {array} One row per bank with eligibility flags
+ */
+function compareBanks(loanAmount, tenureYears, banks) {
+  return banks.map(bank => {
+    const tiers = bank.tiers && bank.tiers.length ? bank.tiers : [{ rate: bank.rate }];
+    const loan = calculateTieredRateLoan(loanAmount, tiers, tenureYears);
+
+    const meetsMinLoan = loanAmount >= bank.minLoan;
+    const meetsMaxTenure = tenureYears <= bank.maxTenure;
+    const issues = [];
+    if (!meetsMinLoan) issues.push(`Minimum loan ${formatCurrency(bank.minLoan)}`);
+    if (!meetsMaxTenure) issues.push(`Maximum tenure ${bank.maxTenure} years`);
+
+    return {
+      name: bank.name,
+      type: bank.type,
+      product: bank.product || '',
+      rate: bank.rate,
+      promoRate: tiers[0].rate,
+      averageRate: loan.averageRate,
+      monthlyPayment: loan.monthlyPayment,
+      totalInterest: loan.totalInterest,
+      totalPayment: loan.totalPayment,
+      lockInYears: bank.lockInYears || 0,
+      minLoan: bank.minLoan,
+      maxTenure: bank.maxTenure,
+      meetsMinLoan,
+      meetsMaxTenure,
+      eligible: meetsMinLoan && meetsMaxTenure,
+      issues
+    };
+  });
+}
+
+/**
+ * Goal-seek the missing loan term for a target monthly instalment
+ * Two of loanAmount, annualRate and tenureYears must be given in `known`; a given loan
+ * amount or tenure must be above zero
+ * @param {number} targetPayment - Monthly instalment the borrower can pay
+ * @param {object} known - { loanAmount, annualRate, tenureYears }
+ * @param {string} solveFor - 'loanAmount', 'annualRate' or 'tenureYears'
+ * @returns {object} Solved loan terms, or feasible: false with a message
+ */
+function solveLoanTerms(targetPayment, known, solveFor) {
+  let { loanAmount, annualRate, tenureYears } = known;
+
+  if ((solveFor !== 'loanAmount' && !(loanAmount > 0)) || (solveFor !== 'tenureYears' && !(tenureYears > 0))) {
+    return {
+      feasible: false,
+      solveFor,
+      message: 'The loan amount and tenure must be greater than zero.'
+    };
+  }
+
+  let tenureMonths = Math.round(tenureYears * 12);
+
+  if (solveFor === 'loanAmount') {
+    const monthlyRate = annualRate / 100 / 12;
+    // P = PMT * [(1+r)^n - 1] / [r(1+r)^n]
+    loanAmount = monthlyRate === 0
+      ? targetPayment * tenureMonths
+      : targetPayment * (Math.pow(1 + monthlyRate, tenureMonths) - 1) /
+        (monthlyRate * Math.pow(1 + monthlyRate, tenureMonths));
+  } else if (solveFor === 'tenureYears') {
+    const monthlyRate = annualRate / 100 / 12;
+    const monthlyInterest = loanAmount * monthlyRate;
+
+    if (targetPayment <= monthlyInterest) {
+      return {
+        feasible: false,
+        solveFor,
+        message: `The instalment must exceed the first month's interest of RM ${formatNumber(roundToTwoDecimals(monthlyInterest))}.`
+      };
+    }
+
+    // n = -ln(1 - rP/PMT) / ln(1+r), rounded up to whole months
+    const months = monthlyRate === 0
+      ? loanAmount / targetPayment
+      : -Math.log(1 - monthlyInterest / targetPayment) / Math.log(1 + monthlyRate);
+    tenureMonths = Math.ceil(months - 1e-9);
+    tenureYears = tenureMonths / 12;
+  } else {
+    if (targetPayment * tenureMonths < loanAmount) {
+      return {
+        feasible: false,
+        solveFor,
+        message: `The instalment must be at least RM ${formatNumber(roundToTwoDecimals(loanAmount / tenureMonths))} to repay the loan within the tenure.`
+      };
+    }
+
+    // Bisection: the instalment rises with the rate
+    let low = 0;
+    let high = 30;
+    if (calculateMonthlyPayment(loanAmount, high, tenureYears).monthlyPayment < targetPayment) {
+      return {
+        feasible: false,
+        solveFor,
+        message: `The instalment implies a rate above ${high}% p.a.`
+      };
+    }
+    for (let i = 0; i < 60; i++) {
+      const mid = (low + high) / 2;
+      if (calculateMonthlyPayment(loanAmount, mid, tenureYears).monthlyPayment > targetPayment) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+    }
+    // Round down so the instalment stays within budget
+    annualRate = Math.floor(low * 100) / 100;
+  }
+
+  const payment = calculateMonthlyPayment(loanAmount, annualRate, tenureYears);
+
+  return {
+    feasible: true,
+    solveFor,
+    targetPayment,
+    loanAmount: roundToTwoDecimals(loanAmount),
+    annualRate,
+    tenureYears: roundToTwoDecimals(tenureYears),
+    tenureMonths,
+    monthlyPayment: payment.monthlyPayment,
+    totalInterest: payment.totalInterest,
+    totalPayment: payment.totalPayment
+  };
+}
+
+/**
+ * Convert a loan amount into a property price and cash needed upfront
+ * @param {number} loanAmount - Loan amount
+ * @param {number} marginPercent - Margin of finance (e.g., 90)
+ * @param {boolean} isFirstTimeBuyer - First-time buyer status
+ * @param {boolean} applyHOC - Apply HOC exemption
+ * @returns {object} Property price and upfront costs (see calculateTotalUpfrontCosts)
+ */
+function calculatePropertyBudget(loanAmount, marginPercent, isFirstTimeBuyer = false, applyHOC = false) {
+  const propertyPrice = roundToTwoDecimals(loanAmount / (marginPercent / 100));
+
+  return {
+    propertyPrice,
+    marginPercent,
+    upfrontCosts: calculateTotalUpfrontCosts(propertyPrice, loanAmount, isFirstTimeBuyer, applyHOC)
+  };
+}
+
+/**
+ * Get the maximum margin of finance for a new housing loan
+ * BNM caps the margin at 70% from the third housing loan onwards
+ * @param {number} existingHousingLoans - Housing loans the borrower already has
+ * @returns {number} Maximum margin of finance (%)
+ */
+function getMaxMarginOfFinance(existingHousingLoans = 0) {
+  return existingHousingLoans + 1 >= MARGIN_OF_FINANCE.restrictedFromLoan
+    ? MARGIN_OF_FINANCE.restricted
+    : MARGIN_OF_FINANCE.standard;
+}
+
+/**
+ * Check a margin of finance against the cap for the borrower's next housing loan
+ * @param {number} marginPercent - Requested margin of finance (%)
+ * @param {number} existingHousingLoans - Housing loans the borrower already has
+ * @returns {object} Margin check with the margin to apply and a note when capped
+ */
+function checkMarginOfFinance(marginPercent, existingHousingLoans = 0) {
+  const maxMargin = getMaxMarginOfFinance(existingHousingLoans);
+  const loanNumber = existingHousingLoans + 1;
+  const ordinal = loanNumber === 1 ? '1st' : loanNumber === 2 ? '2nd' : loanNumber === 3 ? '3rd' : `${loanNumber}th`;
+  const restricted = maxMargin < MARGIN_OF_FINANCE.standard;
+  const allowed = roundToTwoDecimals(marginPercent) <= maxMargin;
+
+  let message = '';
+  if (!allowed) {
+    message = `A margin of ${roundToTwoDecimals(marginPercent)}% is not allowed for a ${ordinal} housing loan. The maximum is ${maxMargin}%.`;
+  } else if (restricted) {
+    message = `A ${ordinal} housing loan is capped at a ${maxMargin}% margin of finance.`;
+  }
+
+  return {
+    marginPercent: roundToTwoDecimals(marginPercent),
+    maxMargin,
+    appliedMargin: Math.min(marginPercent, maxMargin),
+    loanNumber,
+    restricted,
+    allowed,
+    message
+  };
+}
+
+/**
+ * Calculate maximum affordable loan based on DSR
+ * @param {number} monthlyIncome - Monthly income the DSR is measured against (net income)
+ * @param {number} existingCommitments - Monthly debt payments
+ * @param {number} dsrLimit - DSR limit (e.g., 0.60 for 60%)
+ * @param {number} annualRate - Interest rate
+ * @param {number} tenureYears - Loan tenure
+ * @param {number} marginPercent - Margin of finance used to estimate the property price
+ * @returns {object} Affordability analysis
+ */
+function calculateAffordability(monthlyIncome, existingCommitments, dsrLimit, annualRate, tenureYears, marginPercent = MARGIN_OF_FINANCE.standard) {
+  const maxTotalDebt = monthlyIncome * dsrLimit;
+  const availableForMortgage = maxTotalDebt - existingCommitments;
+
+  if (availableForMortgage <= 0) {
+    return {
+      canAfford: false,
+      maxLoanAmount: 0,
+      maxMonthlyPayment: 0,
+      currentDSR: roundToTwoDecimals((existingCommitments / monthlyIncome) * 100),
+      message: 'Existing commitments exceed DSR limit'
+    };
+  }
+
+  // Reverse PMT to find principal
+  const monthlyRate = annualRate / 100 / 12;
+  const totalMonths = tenureYears * 12;
+
+  // P = PMT * [(1+r)^n - 1] / [r(1+r)^n]
+  const maxLoan = availableForMortgage *
+    (Math.pow(1 + monthlyRate, totalMonths) - 1) /
+    (monthlyRate * Math.pow(1 + monthlyRate, totalMonths));
+
+  return {
+    canAfford: true,
+    maxLoanAmount: roundToTwoDecimals(maxLoan),
+    maxMonthlyPayment: roundToTwoDecimals(availableForMortgage),
+    currentDSR: roundToTwoDecimals((existingCommitments / monthlyIncome) * 100),
+    maxDSR: roundToTwoDecimals(dsrLimit * 100),
+    availableDSR: roundToTwoDecimals(((maxTotalDebt - existingCommitments) / monthlyIncome) * 100),
+    estimatedPropertyPrice: roundToTwoDecimals(maxLoan / (marginPercent / 100)),
+    marginPercent,
+    breakdown: {
+      income: monthlyIncome,
+      maxTotalDebt: roundToTwoDecimals(maxTotalDebt),
+      existingCommitments: existingCommitments,
+      availableForMortgage: roundToTwoDecimals(availableForMortgage)
+    }
+  };
+}
+
+/**
+ * Calculate annual income tax for a resident individual
+ * @param {number} chargeableIncome - Annual chargeable income after reliefs
+ * @returns {number} Annual tax payable after rebate
  */
-function compareRefinancing(currentLoan, newLoan) {
-  // Current loan: { balance, rate, remainingYears }
-  // New loan: { rate, tenureYears, closingCosts }
+function calculateIncomeTax(chargeableIncome) {
+  let tax = 0;
+
+  for (const band of INCOME_TAX.bands) {
+    if (chargeableIncome <= band.min) break;
+    tax += (Math.min(chargeableIncome, band.max) - band.min) * band.rate;
+  }
+
+  if (chargeableIncome <= INCOME_TAX.rebate.maxChargeableIncome) {
+    tax -= INCOME_TAX.rebate.amount;
+  }
+
+  return roundToTwoDecimals(Math.max(0, tax));
+}
 
-  const current = calculateMonthlyPayment(
-    currentLoan.balance,
-    currentLoan.rate,
-    currentLoan.remainingYears
+/**
+ * Calculate net monthly income after statutory deductions
+ * PCB is estimated from the annualised salary with automatic reliefs only
+ * @param {number} grossIncome - Gross monthly income
+ * @param {number} epfRate - Employee EPF rate (e.g., 0.11)
+ * @param {boolean} socialSecurity - Deduct SOCSO and EIS (not for the self-employed)
+ * @returns {object} Deduction breakdown and net income
+ */
+function calculateNetIncome(grossIncome, epfRate = STATUTORY_DEDUCTIONS.epf.rate, socialSecurity = true) {
+  const { socso, eis } = STATUTORY_DEDUCTIONS;
+  const { reliefs } = INCOME_TAX;
+
+  const epfAmount = grossIncome * epfRate;
+  const socsoAmount = socialSecurity ? Math.min(grossIncome, socso.wageCeiling) * socso.rate : 0;
+  const eisAmount = socialSecurity ? Math.min(grossIncome, eis.wageCeiling) * eis.rate : 0;
+
+  const chargeableIncome = Math.max(0,
+    grossIncome * 12 -
+    reliefs.individual -
+    Math.min(epfAmount * 12, reliefs.epfMax) -
+    Math.min((socsoAmount + eisAmount) * 12, reliefs.socsoMax)
   );
+  const pcb = calculateIncomeTax(chargeableIncome) / 12;
+
+  const totalDeductions = epfAmount + socsoAmount + eisAmount + pcb;
+
+  return {
+    grossIncome,
+    epf: roundToTwoDecimals(epfAmount),
+    socso: roundToTwoDecimals(socsoAmount),
+    eis: roundToTwoDecimals(eisAmount),
+    pcb: roundToTwoDecimals(pcb),
+    annualChargeableIncome: roundToTwoDecimals(chargeableIncome),
+    totalDeductions: roundToTwoDecimals(totalDeductions),
+    netIncome: roundToTwoDecimals(grossIncome - totalDeductions)
+  };
+}
+
+/**
+ * Get the BNM DSR limit for a net monthly income
+ * @param {number} netIncome - Net monthly income
+ * @returns {number} DSR limit (e.g., 0.60 for 60%)
+ */
+function getDSRLimit(netIncome) {
+  return netIncome >= DSR_CONFIG.highIncomeThreshold
+    ? DSR_CONFIG.maxLimit
+    : DSR_CONFIG.defaultLimit;
+}
+
+/**
+ * Convert itemised commitments into the monthly amounts counted for DSR
+ * @param {object} commitments - Amounts keyed by COMMITMENT_TYPES key; credit cards as total limit
+ * @returns {object} Itemised monthly commitments and total
+ */
+function calculateMonthlyCommitments(commitments = {}) {
+  const items = Object.entries(COMMITMENT_TYPES)
+    .filter(([key]) => commitments[key] > 0)
+    .map(([key, type]) => {
+      const amount = commitments[key];
+      const monthly = type.basis === 'limit' ? amount * type.rate : amount;
+      return {
+        key,
+        label: type.label,
+        amount,
+        basis: type.basis,
+        monthly: roundToTwoDecimals(monthly)
+      };
+    });
+
+  return {
+    items,
+    total: roundToTwoDecimals(items.reduce((sum, item) => sum + item.monthly, 0))
+  };
+}
+
+/**
+ * Assess one borrower's income and commitments the way banks do for DSR
+ * @param {object} borrower - { grossIncome, incomeType, age, commitments }
+ * @returns {object} Recognised net income and monthly commitments
+ */
+function assessBorrower(borrower) {
+  const incomeType = INCOME_TYPES[borrower.incomeType] ? borrower.incomeType : 'employed';
+  const type = INCOME_TYPES[incomeType];
+
+  // Commission and other variable income is haircut before deductions
+  const recognisedIncome = (borrower.grossIncome || 0) * type.recognition;
+  const income = type.statutory
+    ? calculateNetIncome(recognisedIncome)
+    : calculateNetIncome(recognisedIncome, 0, false);
+
+  return {
+    incomeType,
+    label: type.label,
+    recognition: type.recognition,
+    age: borrower.age || 0,
+    declaredIncome: borrower.grossIncome || 0,
+    income,
+    commitments: calculateMonthlyCommitments(borrower.commitments)
+  };
+}
+
+/**
+ * Calculate DSR on combined net income before and after a new mortgage instalment
+ * Joint applications pool every borrower's recognised income and commitments
+ * @param {Array} borrowers - Borrowers (see assessBorrower)
+ * @param {number} newInstalment - Monthly instalment of the new mortgage
+ * @param {object} options - { dsrLimit } overrides the income-tiered limit
+ * @returns {object} DSR analysis, or feasible: false when there is no net income to measure against
+ */
+function calculateDSR(borrowers, newInstalment = 0, options = {}) {
+  const assessed = borrowers.map(assessBorrower);
+
+  const incomeFields = ['grossIncome', 'epf', 'socso', 'eis', 'pcb', 'totalDeductions', 'netIncome'];
+  const income = {};
+  incomeFields.forEach(field => {
+    income[field] = roundToTwoDecimals(assessed.reduce((sum, borrower) => sum + borrower.income[field], 0));
+  });
+  income.declaredIncome = roundToTwoDecimals(assessed.reduce((sum, borrower) => sum + borrower.declaredIncome, 0));
+
+  // Merge commitments of the same type across borrowers
+  const items = [];
+  assessed.forEach(borrower => {
+    borrower.commitments.items.forEach(item => {
+      const existing = items.find(entry => entry.key === item.key);
+      if (existing) {
+        existing.amount += item.amount;
+        existing.monthly = roundToTwoDecimals(existing.monthly + item.monthly);
+      } else {
+        items.push({ ...item });
+      }
+    });
+  });
+  const commitments = {
+    items,
+    total: roundToTwoDecimals(items.reduce((sum, item) => sum + item.monthly, 0))
+  };
+
+  const netIncome = income.netIncome;
+  if (!(netIncome > 0)) {
+    return {
+      feasible: false,
+      message: 'None of the borrowers has recognised net income, so DSR cannot be worked out.',
+      borrowers: assessed,
+      income,
+      commitments
+    };
+  }
+
+  const autoLimit = !options.dsrLimit;
+  const dsrLimit = options.dsrLimit || getDSRLimit(netIncome);
+  const maxTotalDebt = netIncome * dsrLimit;
+  const dsrAfter = roundToTwoDecimals(((commitments.total + newInstalment) / netIncome) * 100);
+
+  return {
+    feasible: true,
+    borrowers: assessed,
+    income,
+    commitments,
+    newInstalment: roundToTwoDecimals(newInstalment),
+    dsrLimit: roundToTwoDecimals(dsrLimit * 100),
+    autoLimit,
+    dsrBefore: roundToTwoDecimals((commitments.total / netIncome) * 100),
+    dsrAfter,
+    maxTotalDebt: roundToTwoDecimals(maxTotalDebt),
+    headroom: roundToTwoDecimals(maxTotalDebt - commitments.total - newInstalment),
+    withinLimit: dsrAfter <= dsrLimit * 100
+  };
+}
 
-  const newCalc = calculateMonthlyPayment(
-    currentLoan.balance,
-    newLoan.rate,
-    newLoan.tenureYears
+/**
+ * Calculate maximum affordable loan for one or more borrowers
+ * @param {Array} borrowers - Borrowers (see assessBorrower)
+ * @param {number} annualRate - Interest rate
+ * @param {number} tenureYears - Loan tenure
+ * @param {object} options - { dsrLimit, loanAmount, marginPercent } where loanAmount is the planned loan
+ * @returns {object} Affordability analysis with DSR before and after the mortgage, or
+ *   feasible: false (see calculateDSR)
+ */
+function calculateDSRAffordability(borrowers, annualRate, tenureYears, options = {}) {
+  const current = calculateDSR(borrowers, 0, options);
+  if (!current.feasible) return current;
+
+  const affordability = calculateAffordability(
+    current.income.netIncome,
+    current.commitments.total,
+    current.dsrLimit / 100,
+    annualRate,
+    tenureYears,
+    options.marginPercent
   );
 
-  const monthlyDifference = current.monthlyPayment - newCalc.monthlyPayment;
-  const totalInterestDifference = current.totalInterest - newCalc.totalInterest;
+  // DSR after the planned loan, or after borrowing the maximum
+  const newInstalment = options.loanAmount
+    ? calculateMonthlyPayment(options.loanAmount, annualRate, tenureYears).monthlyPayment
+    : affordability.maxMonthlyPayment;
 
-  // Break-even calculation (months to recover closing costs)
-  const breakEvenMonths = monthlyDifference > 0
-    ? Math.ceil(newLoan.closingCosts / monthlyDifference)
-    : Infinity;
+  return {
+    ...affordability,
+    feasible: true,
+    plannedLoanAmount: options.loanAmount || 0,
+    dsr: calculateDSR(borrowers, newInstalment, options)
+  };
+}
 
-  // Net savings over loan term
-  const netSavings = totalInterestDifference - newLoan.closingCosts;
+/**
+ * Calculate the longest tenure allowed by age at maturity and the bank's limit
+ * @param {number} age - Borrower age today (optional)
+ * @param {string} employmentType - 'employed' or 'selfEmployed'
+ * @param {number} bankMaxTenure - Bank's maximum tenure in years
+ * @returns {object} Maximum tenure and which limit applies
+ */
+function calculateMaxTenure(age, employmentType = 'employed', bankMaxTenure = Infinity) {
+  const maxAge = MAX_AGE_AT_MATURITY[employmentType] || MAX_AGE_AT_MATURITY.employed;
+  const ageTenure = age > 0 ? Math.max(0, maxAge - age) : Infinity;
+  const maxTenure = Math.min(ageTenure, bankMaxTenure);
 
   return {
-    current: {
-      monthlyPayment: current.monthlyPayment,
-      totalInterest: current.totalInterest,
-      totalPayment: current.totalPayment,
-      remainingMonths: currentLoan.remainingYears * 12
-    },
-    refinanced: {
-      monthlyPayment: newCalc.monthlyPayment,
-      totalInterest: newCalc.totalInterest,
-      totalPayment: newCalc.totalPayment + newLoan.closingCosts,
-      newTenureMonths: newLoan.tenureYears * 12,
-      closingCosts: newLoan.closingCosts
-    },
-    comparison: {
-      monthlyDifference: roundToTwoDecimals(monthlyDifference),
-      totalInterestSaved: roundToTwoDecimals(totalInterestDifference),
-      breakEvenMonths: breakEvenMonths === Infinity ? 'N/A' : breakEvenMonths,
-      breakEvenYears: breakEvenMonths === Infinity ? 'N/A' : roundToTwoDecimals(breakEvenMonths / 12),
-      netSavings: roundToTwoDecimals(netSavings),
-      worthRefinancing: netSavings > 0 && breakEvenMonths < (newLoan.tenureYears * 12)
-    }
+    maxTenure,
+    maxAge,
+    ageTenure,
+    bankMaxTenure,
+    limitedBy: ageTenure < bankMaxTenure ? 'age' : 'bank'
   };
 }
 
 /**
- * Calculate maximum affordable loan based on DSR
- * @param {number} monthlyIncome - Gross monthly income
- * @param {number} existingCommitments - Monthly debt payments
- * @param {number} dsrLimit - DSR limit (e.g., 0.60 for 60%)
- * @param {number} annualRate - Interest rate
- * @param {number} tenureYears - Loan tenure
- * @returns {object} Affordability analysis
+ * Check a chosen tenure against the age-at-maturity and bank limits
+ * @param {number} tenureYears - Chosen loan tenure
+ * @param {number} age - Borrower age today (optional)
+ * @param {string} employmentType - 'employed' or 'selfEmployed'
+ * @param {number} bankMaxTenure - Bank's maximum tenure in years
+ * @returns {object} Tenure check with a warning message when not allowed
  */
-function calculateAffordability(monthlyIncome, existingCommitments, dsrLimit, annualRate, tenureYears) {
-  const maxTotalDebt = monthlyIncome * dsrLimit;
-  const availableForMortgage = maxTotalDebt - existingCommitments;
-
-  if (availableForMortgage <= 0) {
-    return {
-      canAfford: false,
-      maxLoanAmount: 0,
-      maxMonthlyPayment: 0,
-      currentDSR: roundToTwoDecimals((existingCommitments / monthlyIncome) * 100),
-      message: 'Existing commitments exceed DSR limit'
-    };
+function validateTenure(tenureYears, age, employmentType = 'employed', bankMaxTenure = Infinity) {
+  const limit = calculateMaxTenure(age, employmentType, bankMaxTenure);
+  const allowed = tenureYears <= limit.maxTenure;
+  const ageAtMaturity = age > 0 ? age + tenureYears : null;
+
+  let message = '';
+  if (!allowed && limit.limitedBy === 'age') {
+    message = limit.maxTenure > 0
+      ? `A ${tenureYears}-year tenure ends at age ${ageAtMaturity}, past the maximum of ${limit.maxAge}. Maximum tenure is ${limit.maxTenure} years.`
+      : `Borrowers aged ${age} are past the maximum age at maturity of ${limit.maxAge}.`;
+  } else if (!allowed) {
+    message = `The bank's maximum tenure is ${limit.maxTenure} years.`;
   }
 
-  // Reverse PMT to find principal
-  const monthlyRate = annualRate / 100 / 12;
-  const totalMonths = tenureYears * 12;
+  return {
+    ...limit,
+    tenureYears,
+    ageAtMaturity,
+    allowed,
+    message
+  };
+}
 
-  // P = PMT * [(1+r)^n - 1] / [r(1+r)^n]
-  const maxLoan = availableForMortgage *
-    (Math.pow(1 + monthlyRate, totalMonths) - 1) /
-    (monthlyRate * Math.pow(1 + monthlyRate, totalMonths));
+/**
+ * Check a tenure for a joint application, capped by the eldest borrower's age
+ * @param {number} tenureYears - Chosen loan tenure
+ * @param {Array} borrowers - Borrowers with age and incomeType
+ * @param {number} bankMaxTenure - Bank's maximum tenure in years
+ * @returns {object} Tenure check (see validateTenure) with the eldest borrower's index
+ */
+function validateJointTenure(tenureYears, borrowers, bankMaxTenure = Infinity) {
+  let eldestIndex = -1;
+  borrowers.forEach((borrower, index) => {
+    if (borrower.age > 0 && (eldestIndex === -1 || borrower.age > borrowers[eldestIndex].age)) {
+      eldestIndex = index;
+    }
+  });
+
+  const eldest = borrowers[eldestIndex] || {};
+  const incomeType = INCOME_TYPES[eldest.incomeType] || INCOME_TYPES.employed;
 
   return {
-    canAfford: true,
-    maxLoanAmount: roundToTwoDecimals(maxLoan),
-    maxMonthlyPayment: roundToTwoDecimals(availableForMortgage),
-    currentDSR: roundToTwoDecimals((existingCommitments / monthlyIncome) * 100),
-    maxDSR: roundToTwoDecimals(dsrLimit * 100),
-    availableDSR: roundToTwoDecimals(((maxTotalDebt - existingCommitments) / monthlyIncome) * 100),
-    estimatedPropertyPrice: roundToTwoDecimals(maxLoan / 0.9), // Assuming 90% margin
-    breakdown: {
-      grossIncome: monthlyIncome,
-      maxTotalDebt: roundToTwoDecimals(maxTotalDebt),
-      existingCommitments: existingCommitments,
-      availableForMortgage: roundToTwoDecimals(availableForMortgage)
-    }
+    ...validateTenure(tenureYears, eldest.age, incomeType.maturity, bankMaxTenure),
+    eldestIndex
   };
 }
 
@@ -392,9 +1855,10 @@ function calculateLegalFees(amount) {
  * @param {number} loanAmount - Loan amount
  * @param {boolean} isFirstTimeBuyer - First-time buyer status
  * @param {boolean} applyHOC - Apply HOC exemption
+ * @param {number} insurancePremium - MRTA/MLTA premium paid upfront (0 if financed)
  * @returns {object} Complete cost breakdown
  */
-function calculateTotalUpfrontCosts(propertyPrice, loanAmount, isFirstTimeBuyer = false, applyHOC = false) {
+function calculateTotalUpfrontCosts(propertyPrice, loanAmount, isFirstTimeBuyer = false, applyHOC = false, insurancePremium = 0) {
   const downPayment = propertyPrice - loanAmount;
   const stampDutyMOT = calculateStampDutyMOT(propertyPrice, isFirstTimeBuyer, applyHOC);
   const stampDutyLoan = calculateStampDutyLoan(loanAmount, isFirstTimeBuyer, propertyPrice);
@@ -409,7 +1873,8 @@ function calculateTotalUpfrontCosts(propertyPrice, loanAmount, isFirstTimeBuyer
     stampDutyLoan.netStampDuty +
     legalFeesSPA.totalFees +
     legalFeesLoan.totalFees +
-    valuationFee;
+    valuationFee +
+    insurancePremium;
 
   return {
     propertyPrice,
@@ -421,44 +1886,570 @@ function calculateTotalUpfrontCosts(propertyPrice, loanAmount, isFirstTimeBuyer
     legalFeesSPA,
     legalFeesLoan,
     valuationFee: roundToTwoDecimals(valuationFee),
+    insurancePremium: roundToTwoDecimals(insurancePremium),
     totalCosts: roundToTwoDecimals(totalCosts),
     summary: {
       downPayment: roundToTwoDecimals(downPayment),
       stampDuty: roundToTwoDecimals(stampDutyMOT.netStampDuty + stampDutyLoan.netStampDuty),
       legalFees: roundToTwoDecimals(legalFeesSPA.totalFees + legalFeesLoan.totalFees),
       valuationFee: roundToTwoDecimals(valuationFee),
+      insurance: roundToTwoDecimals(insurancePremium),
       total: roundToTwoDecimals(totalCosts)
     }
   };
 }
 
 /**
- * Islamic financing calculation (Murabahah/BBA style - fixed selling price)
+ * Buy-to-let cash flow over a loan schedule
+ * Adds rentCollected, expenses, rentalTax, netCashFlow and cumulativeCashFlow to each row.
+ * Rent and running costs start in `startMonth` (after vacant possession for a property
+ * under construction). Tax is assessed per loan year on rent less expenses (and interest
+ * for the let months when deductible), as the extra tax on top of `otherIncome`, and
+ * spread evenly over the year's months. Returns and gearing use the first full year let.
+ * @param {array} schedule - Monthly schedule rows (payment, interest)
+ * @param {number} propertyPrice - Purchase price
+ * @param {number} cashInvested - Down payment and purchase costs paid in cash
+ * @param {object} rental - monthlyRent, vacancyRate, maintenance (monthly),
+ *   managementFeeRate, otherCosts (yearly), otherIncome (yearly chargeable income),
+ *   interestDeductible, startMonth
+ * @returns {object} Yields, cash-on-cash return, negative-gearing shortfall and yearly totals
+ */
+function calculateRentalCashFlow(schedule, propertyPrice, cashInvested, rental) {
+  const rentCollected = rental.monthlyRent * (1 - rental.vacancyRate / 100);
+  const expenses = rentCollected * rental.managementFeeRate / 100 + rental.maintenance + rental.otherCosts / 12;
+  const otherIncome = rental.otherIncome || 0;
+  const startMonth = rental.startMonth || 1;
+
+  const years = [];
+  let cumulativeCashFlow = 0;
+
+  for (let start = 0; start < schedule.length; start += 12) {
+    const rows = schedule.slice(start, start + 12);
+    const letRows = rows.filter(row => row.month >= startMonth);
+    const interest = letRows.reduce((sum, row) => sum + row.interest, 0);
+    const payments = rows.reduce((sum, row) => sum + row.payment, 0);
+    const taxableRent = (rentCollected - expenses) * letRows.length - (rental.interestDeductible ? interest : 0);
+    const tax = taxableRent > 0
+      ? calculateIncomeTax(otherIncome + taxableRent) - calculateIncomeTax(otherIncome)
+      : 0;
+    // Tax falls only on the months the property is let
+    const monthlyTax = letRows.length ? tax / letRows.length : 0;
+
+    rows.forEach(row => {
+      const isLet = row.month >= startMonth;
+      const netCashFlow = (isLet ? rentCollected - expenses - monthlyTax : 0) - row.payment;
+      cumulativeCashFlow += netCashFlow;
+      row.rentCollected = isLet ? roundToTwoDecimals(rentCollected) : 0;
+      row.expenses = isLet ? roundToTwoDecimals(expenses) : 0;
+      row.rentalTax = isLet ? roundToTwoDecimals(monthlyTax) : 0;
+      row.netCashFlow = roundToTwoDecimals(netCashFlow);
+      row.cumulativeCashFlow = roundToTwoDecimals(cumulativeCashFlow);
+    });
+
+    const cashFlow = (rentCollected - expenses) * letRows.length - payments - tax;
+    years.push({
+      year: rows[0].year,
+      monthsLet: letRows.length,
+      rentCollected: roundToTwoDecimals(rentCollected * letRows.length),
+      expenses: roundToTwoDecimals(expenses * letRows.length),
+      payments: roundToTwoDecimals(payments),
+      interest: roundToTwoDecimals(interest),
+      taxableRent: roundToTwoDecimals(taxableRent),
+      tax: roundToTwoDecimals(tax),
+      cashFlow: roundToTwoDecimals(cashFlow)
+    });
+  }
+
+  const firstYear = years.find(year => year.monthsLet === 12) || years[years.length - 1];
+  const netOperatingIncome = (rentCollected - expenses) * 12;
+  const monthlyCashFlow = roundToTwoDecimals(firstYear.cashFlow / 12);
+  const shortfallYears = years.filter(year => year.cashFlow < 0);
+
+  return {
+    monthlyRentCollected: roundToTwoDecimals(rentCollected),
+    monthlyExpenses: roundToTwoDecimals(expenses),
+    grossYield: roundToTwoDecimals(rental.monthlyRent * 12 / propertyPrice * 100),
+    netYield: roundToTwoDecimals(netOperatingIncome / propertyPrice * 100),
+    cashInvested: roundToTwoDecimals(cashInvested),
+    cashOnCash: cashInvested > 0 ? roundToTwoDecimals(firstYear.cashFlow / cashInvested * 100) : null,
+    firstLetYear: firstYear.year,
+    firstYearCashFlow: firstYear.cashFlow,
+    monthlyCashFlow,
+    // Negatively geared: rent does not cover the loan and running costs
+    negativeGearing: {
+      geared: firstYear.cashFlow < 0,
+      monthlyShortfall: Math.max(0, -monthlyCashFlow),
+      years: shortfallYears.length,
+      totalShortfall: roundToTwoDecimals(shortfallYears.reduce((sum, year) => sum - year.cashFlow, 0)),
+      // A rental loss earns no tax relief against other income
+      firstYearRentalLoss: roundToTwoDecimals(Math.max(0, -firstYear.taxableRent))
+    },
+    totalCashFlow: roundToTwoDecimals(cumulativeCashFlow),
+    totalTax: roundToTwoDecimals(years.reduce((sum, year) => sum + year.tax, 0)),
+    years
+  };
+}
+
+/**
+ * Rent vs buy: year-by-year net worth of each path
+ * Buying costs the upfront costs, then the instalments plus maintenance, quit rent and
+ * assessment; renting keeps the upfront costs invested. Each month whichever path costs
+ * less invests the difference, so both spend the same. Buyer net worth is the property
+ * value less the loan balance (before selling costs) plus investments.
+ * @param {object} purchase - propertyPrice, loanAmount, annualRate, tenureYears,
+ *   isFirstTimeBuyer, applyHOC, appreciationRate, maintenance (monthly), quitRent and
+ *   assessment (yearly)
+ * @param {object} renting - monthlyRent, rentGrowth (% p.a.)
+ * @param {object} options - investmentReturn (% p.a.), horizonYears (whole years, minimum 1)
+ * @returns {object} Upfront costs, yearly rows, crossover year and totals
+ */
+function calculateRentVsBuy(purchase, renting, options = {}) {
+  const { investmentReturn = RENT_VS_BUY.investmentReturn } = options;
+  // At least one full year, so there is always a final row to total
+  const horizonYears = Math.max(1, Math.round(options.horizonYears || RENT_VS_BUY.horizonYears));
+  const upfront = calculateTotalUpfrontCosts(
+    purchase.propertyPrice, purchase.loanAmount, purchase.isFirstTimeBuyer, purchase.applyHOC
+  );
+  const schedule = purchase.loanAmount > 0
+    ? generateAmortizationSchedule(purchase.loanAmount, purchase.annualRate, purchase.tenureYears)
+    : [];
+  const monthlyReturn = Math.pow(1 + investmentReturn / 100, 1 / 12) - 1;
+  const holdingCost = purchase.maintenance + (purchase.quitRent + purchase.assessment) / 12;
+
+  const years = [];
+  let renterPortfolio = upfront.totalCosts;
+  let buyerPortfolio = 0;
+  let totalRent = 0;
+  let totalOwnershipCost = upfront.totalCosts;
+  let crossoverYear = null;
+  let yearRent = 0;
+  let yearOwnershipCost = 0;
+
+  for (let month = 1; month <= horizonYears * 12; month++) {
+    const year = Math.ceil(month / 12);
+    const rent = renting.monthlyRent * Math.pow(1 + renting.rentGrowth / 100, year - 1);
+    const instalment = schedule[month - 1] ? schedule[month - 1].payment : 0;
+    const ownershipCost = instalment + holdingCost;
+
+    renterPortfolio *= 1 + monthlyReturn;
+    buyerPortfolio *= 1 + monthlyReturn;
+    if (ownershipCost > rent) renterPortfolio += ownershipCost - rent;
+    else buyerPortfolio += rent - ownershipCost;
+
+    yearRent += rent;
+    yearOwnershipCost += ownershipCost;
+
+    if (month % 12 !== 0) continue;
+
+    const propertyValue = purchase.propertyPrice * Math.pow(1 + purchase.appreciationRate / 100, year);
+    const loanBalance = schedule[month - 1] ? schedule[month - 1].balance : 0;
+    const buyerNetWorth = propertyValue - loanBalance + buyerPortfolio;
+    const difference = buyerNetWorth - renterPortfolio;
+
+    // Buying overtakes renting
+    const previous = years[years.length - 1];
+    if (crossoverYear === null && difference >= 0 && (!previous || previous.difference < 0)) {
+      crossoverYear = year;
+    }
+
+    totalRent += yearRent;
+    totalOwnershipCost += yearOwnershipCost;
+
+    years.push({
+      year,
+      rent: roundToTwoDecimals(yearRent),
+      ownershipCost: roundToTwoDecimals(yearOwnershipCost),
+      propertyValue: roundToTwoDecimals(propertyValue),
+      loanBalance,
+      homeEquity: roundToTwoDecimals(propertyValue - loanBalance),
+      buyerPortfolio: roundToTwoDecimals(buyerPortfolio),
+      buyerNetWorth: roundToTwoDecimals(buyerNetWorth),
+      renterNetWorth: roundToTwoDecimals(renterPortfolio),
+      difference: roundToTwoDecimals(difference)
+    });
+    yearRent = 0;
+    yearOwnershipCost = 0;
+  }
+
+  const final = years[years.length - 1];
+
+  return {
+    upfront,
+    monthlyPayment: schedule.length ? schedule[0].payment : 0,
+    monthlyHoldingCost: roundToTwoDecimals(holdingCost),
+    years,
+    crossoverYear,
+    // Buying ahead from the first year means there is nothing to overtake
+    buyingAheadThroughout: years.every(row => row.difference >= 0),
+    totals: {
+      rent: roundToTwoDecimals(totalRent),
+      ownershipCost: roundToTwoDecimals(totalOwnershipCost),
+      buyerNetWorth: final.buyerNetWorth,
+      renterNetWorth: final.renterNetWorth,
+      difference: final.difference
+    }
+  };
+}
+
+/**
+ * Look up the single-premium insurance rate for one life
+ * @param {number} age - Age of the insured life
+ * @param {number} coverYears - Cover term in years
+ * @returns {number|null} Rate per RM1,000 sum assured, or null if uninsurable
+ */
+function getInsuranceRate(age, coverYears) {
+  const { ageBands, tenureBands, maxCoverAge } = MORTGAGE_INSURANCE;
+  const ageBand = ageBands.find(band => age <= band.maxAge);
+  if (!ageBand || age + coverYears > maxCoverAge) return null;
+
+  const tenureIndex = tenureBands.findIndex(maxYears => coverYears <= maxYears);
+  return ageBand.rates[tenureIndex === -1 ? tenureBands.length - 1 : tenureIndex];
+}
+
+/**
+ * Estimate a single-premium MRTA/MLTA premium
+ * Joint-life cover pays on the first death and is priced as the sum of each life, less a discount
+ * @param {number} sumAssured - Sum assured (usually the loan amount)
+ * @param {number} coverYears - Cover term in years
+ * @param {Array} ages - Age of each insured life (two for joint-life cover)
+ * @param {string} type - 'mrta' or 'mlta'
+ * @returns {object} Premium breakdown, or insurable: false with a message
+ */
+function calculateMortgageInsurance(sumAssured, coverYears, ages, type = 'mrta') {
+  if (!ages.length) {
+    return { insurable: false, message: 'Enter the insured borrower\'s age to estimate mortgage insurance.' };
+  }
+
+  const product = MORTGAGE_INSURANCE.types[type] || MORTGAGE_INSURANCE.types.mrta;
+  const discountBand = MORTGAGE_INSURANCE.sumAssuredDiscounts.find(band => sumAssured >= band.minSumAssured);
+  const sumAssuredDiscount = discountBand ? discountBand.discount : 0;
+  const jointLife = ages.length > 1;
+
+  const lives = ages.map(age => {
+    const rate = getInsuranceRate(age, coverYears);
+    return {
+      age,
+      rate,
+      premium: rate === null ? 0 : roundToTwoDecimals((sumAssured / 1000) * rate * product.multiplier * (1 - sumAssuredDiscount))
+    };
+  });
+
+  const uninsurable = lives.find(life => life.rate === null);
+  if (uninsurable) {
+    return {
+      insurable: false,
+      message: `Cover for age ${uninsurable.age} over ${coverYears} years would end past age ${MORTGAGE_INSURANCE.maxCoverAge}.`
+    };
+  }
+
+  const grossPremium = lives.reduce((sum, life) => sum + life.premium, 0);
+  const jointLifeDiscount = jointLife ? grossPremium * MORTGAGE_INSURANCE.jointLifeDiscount : 0;
+
+  return {
+    insurable: true,
+    type,
+    label: product.label,
+    sumAssured,
+    coverYears,
+    lives,
+    jointLife,
+    sumAssuredDiscount,
+    jointLifeDiscount: roundToTwoDecimals(jointLifeDiscount),
+    premium: roundToTwoDecimals(grossPremium - jointLifeDiscount)
+  };
+}
+
+/**
+ * Build the default cash-to-close line items for a purchase
+ * Booking fee and SPA deposit come out of the down payment; any remaining
+ * down payment (margin below 90%) is paid at completion.
+ * @param {number} propertyPrice - Purchase price
+ * @param {number} loanAmount - Loan amount (excluding any financed insurance)
+ * @param {object} options - isFirstTimeBuyer, applyHOC, insurancePremium
+ * @returns {Array} Line items of {key, label, amount, stage, optional}
+ */
+function buildCashToCloseItems(propertyPrice, loanAmount, options = {}) {
+  const { isFirstTimeBuyer = false, applyHOC = false, insurancePremium = 0 } = options;
+  const upfront = calculateTotalUpfrontCosts(propertyPrice, loanAmount, isFirstTimeBuyer, applyHOC);
+  const downPayment = upfront.downPayment;
+
+  const bookingFee = Math.min(downPayment, propertyPrice * CASH_TO_CLOSE.bookingFeeRate);
+  const spaDeposit = Math.min(downPayment, propertyPrice * CASH_TO_CLOSE.spaDepositRate) - bookingFee;
+  const balanceDownPayment = downPayment - bookingFee - spaDeposit;
+
+  const item = (key, label, amount, stage, optional = false) => ({
+    key,
+    label,
+    amount: roundToTwoDecimals(amount),
+    stage,
+    optional
+  });
+
+  return [
+    item('bookingFee', 'Booking Fee (Earnest Deposit)', bookingFee, 'booking'),
+    item('spaDeposit', 'SPA Deposit (Balance)', spaDeposit, 'spa'),
+    item('legalFeesSPA', 'Legal Fees (SPA)', upfront.legalFeesSPA.totalFees, 'spa'),
+    item('stampDutyMOT', 'Stamp Duty (MOT)', upfront.stampDutyMOT.netStampDuty, 'spa'),
+    item('valuationFee', 'Valuation Fee', upfront.valuationFee, 'spa'),
+    item('agentFee', 'Agent Fee', propertyPrice * CASH_TO_CLOSE.agentFeeRate, 'spa', true),
+    item('legalFeesLoan', 'Legal Fees (Loan Agreement)', upfront.legalFeesLoan.baseFees, 'loanAgreement'),
+    item('loanDisbursement', 'Loan Agreement Disbursements', upfront.legalFeesLoan.totalAdditionalFees, 'loanAgreement'),
+    item('stampDutyLoan', 'Stamp Duty (Loan Agreement)', upfront.stampDutyLoan.netStampDuty, 'loanAgreement'),
+    item('mrta', 'MRTA/MLTA Premium', insurancePremium, 'loanAgreement', true),
+    item('balanceDownPayment', 'Balance of Down Payment', balanceDownPayment, 'completion'),
+    item('fireInsurance', 'Fire Insurance (First Year)', propertyPrice * CASH_TO_CLOSE.fireInsuranceRate, 'completion'),
+    item('handoverCharges', 'Utility Deposits & Advance Maintenance', CASH_TO_CLOSE.handoverCharges, 'handover')
+  ].filter(line => line.amount > 0 || line.optional);
+}
+
+/**
+ * Group cash-to-close line items into a payment timeline
+ * @param {Array} items - Line items of {label, amount, stage, optional}
+ * @param {Date} bookingDate - Date the booking fee is paid (optional)
+ * @returns {object} Stages with due dates and running totals, plus required/optional totals
+ */
+function calculateCashToClose(items, bookingDate = null) {
+  const stageKeys = CASH_TO_CLOSE.stages.map(stage => stage.key);
+  let cumulative = 0;
+  let cumulativeRequired = 0;
+
+  const stages = CASH_TO_CLOSE.stages.map(stage => {
+    const stageItems = items.filter(line =>
+      (stageKeys.includes(line.stage) ? line.stage : 'completion') === stage.key
+    );
+    const total = stageItems.reduce((sum, line) => sum + line.amount, 0);
+    const required = stageItems.reduce((sum, line) => sum + (line.optional ? 0 : line.amount), 0);
+    cumulative += total;
+    cumulativeRequired += required;
+
+    let dueDate = null;
+    if (bookingDate) {
+      dueDate = new Date(bookingDate.getTime());
+      dueDate.setDate(dueDate.getDate() + stage.dayOffset);
+    }
+
+    return {
+      key: stage.key,
+      label: stage.label,
+      dayOffset: stage.dayOffset,
+      dueDate,
+      items: stageItems,
+      total: roundToTwoDecimals(total),
+      required: roundToTwoDecimals(required),
+      cumulative: roundToTwoDecimals(cumulative),
+      cumulativeRequired: roundToTwoDecimals(cumulativeRequired)
+    };
+  });
+
+  const requiredTotal = items.reduce((sum, line) => sum + (line.optional ? 0 : line.amount), 0);
+  const optionalTotal = items.reduce((sum, line) => sum + (line.optional ? line.amount : 0), 0);
+
+  return {
+    stages,
+    requiredTotal: roundToTwoDecimals(requiredTotal),
+    optionalTotal: roundToTwoDecimals(optionalTotal),
+    total: roundToTwoDecimals(requiredTotal + optionalTotal)
+  };
+}
+
+/**
+ * Generate BBA/Tawarruq sale-price schedule
+ * Instalments are contracted at the ceiling profit rate; the bank charges the
+ * lower effective rate and grants the difference as a monthly ibra' (rebate).
+ * @param {number} principal - Financing amount
+ * @param {number} ceilingRate - Contracted ceiling profit rate (% p.a.)
+ * @param {number} effectiveRate - Effective profit rate charged (% p.a.)
+ * @param {number} tenureYears - Tenure in years
+ * @returns {array} Monthly breakdown
+ */
+function generateMurabahahSchedule(principal, ceilingRate, effectiveRate, tenureYears) {
+  const totalMonths = tenureYears * 12;
+  const monthlyRate = effectiveRate / 100 / 12;
+  const ceilingInstalment = calculateMonthlyPayment(principal, ceilingRate, tenureYears).monthlyPayment;
+  const effectiveInstalment = calculateMonthlyPayment(principal, effectiveRate, tenureYears).monthlyPayment;
+  const salePrice = ceilingInstalment * totalMonths;
+
+  const schedule = [];
+  let balance = principal;
+  let outstandingSalePrice = salePrice;
+  let cumulativeProfit = 0;
+  let cumulativePrincipal = 0;
+  let cumulativeIbra = 0;
+
+  for (let month = 1; month <= totalMonths; month++) {
+    const profitPayment = balance * monthlyRate;
+    let payment = effectiveInstalment;
+    let principalPayment = payment - profitPayment;
+
+    // Final instalment clears the remaining balance (including rounding residue)
+    if (month === totalMonths) {
+      principalPayment = balance;
+      payment = balance + profitPayment;
+    }
+
+    const ibra = Math.max(0, ceilingInstalment - payment);
+    balance = Math.max(0, balance - principalPayment);
+    outstandingSalePrice = Math.max(0, outstandingSalePrice - ceilingInstalment);
+
+    cumulativeProfit += profitPayment;
+    cumulativePrincipal += principalPayment;
+    cumulativeIbra += ibra;
+
+    schedule.push({
+      month,
+      year: Math.ceil(month / 12),
+      ceilingInstalment: roundToTwoDecimals(ceilingInstalment),
+      payment: roundToTwoDecimals(payment),
+      principal: roundToTwoDecimals(principalPayment),
+      interest: roundToTwoDecimals(profitPayment),
+      ibra: roundToTwoDecimals(ibra),
+      balance: roundToTwoDecimals(balance),
+      outstandingSalePrice: roundToTwoDecimals(outstandingSalePrice),
+      cumulativeInterest: roundToTwoDecimals(cumulativeProfit),
+      cumulativePrincipal: roundToTwoDecimals(cumulativePrincipal),
+      cumulativeIbra: roundToTwoDecimals(cumulativeIbra)
+    });
+  }
+
+  return schedule;
+}
+
+/**
+ * Islamic financing calculation (Murabahah/BBA - ceiling sale price with ibra')
  * @param {number} principal - Financing amount
- * @param {number} profitRate - Annual profit rate
+ * @param {number} effectiveRate - Effective profit rate charged (% p.a.)
  * @param {number} tenureYears - Tenure in years
+ * @param {number} ceilingRate - Contracted ceiling profit rate (% p.a.)
  * @returns {object} Islamic financing details
  */
-function calculateIslamicMurabahah(principal, profitRate, tenureYears) {
-  // In Murabahah, the total selling price is fixed upfront
-  // Profit = Principal × Rate × Years (simple calculation for illustration)
-  const totalProfit = principal * (profitRate / 100) * tenureYears;
-  const sellingPrice = principal + totalProfit;
-  const monthlyPayment = sellingPrice / (tenureYears * 12);
+function calculateIslamicMurabahah(principal, effectiveRate, tenureYears, ceilingRate = ISLAMIC_PRODUCTS.murabahah.ceilingRate) {
+  // The ceiling rate can never be below the rate actually charged
+  const contractRate = Math.max(ceilingRate, effectiveRate);
+  const schedule = generateMurabahahSchedule(principal, contractRate, effectiveRate, tenureYears);
+  const totalMonths = tenureYears * 12;
+
+  const ceilingInstalment = schedule[0].ceilingInstalment;
+  const sellingPrice = ceilingInstalment * totalMonths;
+  const totalPayment = schedule.reduce((sum, row) => sum + row.payment, 0);
+  const totalProfit = totalPayment - principal;
 
   return {
     type: 'Murabahah (BBA)',
     principal: roundToTwoDecimals(principal),
-    profitRate: profitRate,
-    totalProfit: roundToTwoDecimals(totalProfit),
+    profitRate: effectiveRate,
+    ceilingRate: contractRate,
+    effectiveRate,
+    ceilingInstalment: roundToTwoDecimals(ceilingInstalment),
+    monthlyPayment: schedule[0].payment,
+    monthlyIbra: schedule[0].ibra,
     sellingPrice: roundToTwoDecimals(sellingPrice),
-    monthlyPayment: roundToTwoDecimals(monthlyPayment),
+    ceilingProfit: roundToTwoDecimals(sellingPrice - principal),
+    totalProfit: roundToTwoDecimals(totalProfit),
+    totalPayment: roundToTwoDecimals(totalPayment),
+    totalIbra: roundToTwoDecimals(sellingPrice - totalPayment),
     tenureYears,
-    totalMonths: tenureYears * 12,
-    note: 'Selling price is fixed at contract signing. No rebate for early settlement typically.'
+    totalMonths,
+    schedule,
+    note: `Sale price is fixed at the ${contractRate}% ceiling rate. The bank charges ${effectiveRate}% and rebates the difference as monthly ibra'.`
+  };
+}
+
+/**
+ * Calculate early settlement amount and ibra' under BNM's Ibra' guideline
+ * Ibra' = Deferred profit - Early settlement charges
+ * Settlement amount = Outstanding sale price - Ibra'
+ * @param {array} schedule - Schedule from generateMurabahahSchedule
+ * @param {number} settlementMonth - Month the financing is settled (after that month's instalment)
+ * @param {number} lockInMonths - Lock-in period in months
+ * @param {number} chargeRate - Early settlement charge within lock-in (e.g., 0.03 for 3%)
+ * @returns {object} Settlement breakdown
+ */
+function calculateIbraSettlement(schedule, settlementMonth, lockInMonths = 0, chargeRate = 0) {
+  const index = Math.min(Math.max(0, settlementMonth), schedule.length);
+  const row = index > 0 ? schedule[index - 1] : null;
+
+  const outstandingSalePrice = row
+    ? row.outstandingSalePrice
+    : schedule[0].ceilingInstalment * schedule.length;
+  const outstandingPrincipal = row ? row.balance : schedule[0].balance + schedule[0].principal;
+
+  const withinLockIn = settlementMonth <= lockInMonths;
+  const earlySettlementCharge = withinLockIn ? outstandingPrincipal * chargeRate : 0;
+  const deferredProfit = outstandingSalePrice - outstandingPrincipal;
+  const ibra = Math.max(0, deferredProfit - earlySettlementCharge);
+
+  return {
+    settlementMonth: index,
+    outstandingSalePrice: roundToTwoDecimals(outstandingSalePrice),
+    outstandingPrincipal: roundToTwoDecimals(outstandingPrincipal),
+    deferredProfit: roundToTwoDecimals(deferredProfit),
+    withinLockIn,
+    earlySettlementCharge: roundToTwoDecimals(earlySettlementCharge),
+    ibra: roundToTwoDecimals(ibra),
+    settlementAmount: roundToTwoDecimals(outstandingSalePrice - ibra)
   };
 }
 
+/**
+ * Generate Musharakah Mutanaqisah schedule (rental + equity acquisition)
+ * @param {number} propertyValue - Property value
+ * @param {number} customerContribution - Customer's initial contribution
+ * @param {number} rentalRate - Annual rental/profit rate
+ * @param {number} tenureYears - Tenure in years
+ * @returns {array} Monthly breakdown of rental, equity purchased and ownership
+ */
+function generateMMSchedule(propertyValue, customerContribution, rentalRate, tenureYears) {
+  const totalMonths = tenureYears * 12;
+  const monthlyRate = rentalRate / 100 / 12;
+  const initialBankShare = propertyValue - customerContribution;
+  const { monthlyPayment } = calculateMonthlyPayment(initialBankShare, rentalRate, tenureYears);
+
+  const schedule = [];
+  let bankShare = initialBankShare;
+  let cumulativeRental = 0;
+  let cumulativeEquity = 0;
+
+  for (let month = 1; month <= totalMonths; month++) {
+    // Rental is charged on the bank's remaining share of the property
+    const rental = bankShare * monthlyRate;
+    let payment = monthlyPayment;
+    let equityPurchased = payment - rental;
+
+    // Final payment buys out the bank's remaining units
+    if (month === totalMonths) {
+      equityPurchased = bankShare;
+      payment = bankShare + rental;
+    }
+
+    bankShare = Math.max(0, bankShare - equityPurchased);
+    cumulativeRental += rental;
+    cumulativeEquity += equityPurchased;
+
+    const customerShare = propertyValue - bankShare;
+
+    schedule.push({
+      month,
+      year: Math.ceil(month / 12),
+      payment: roundToTwoDecimals(payment),
+      rental: roundToTwoDecimals(rental),
+      equityPurchased: roundToTwoDecimals(equityPurchased),
+      bankShare: roundToTwoDecimals(bankShare),
+      customerShare: roundToTwoDecimals(customerShare),
+      customerOwnership: roundToTwoDecimals((customerShare / propertyValue) * 100),
+      bankOwnership: roundToTwoDecimals((bankShare / propertyValue) * 100),
+      cumulativeRental: roundToTwoDecimals(cumulativeRental),
+      // Conventional aliases so generic consumers (charts, exports) still work
+      principal: roundToTwoDecimals(equityPurchased),
+      interest: roundToTwoDecimals(rental),
+      balance: roundToTwoDecimals(bankShare),
+      cumulativeInterest: roundToTwoDecimals(cumulativeRental),
+      cumulativePrincipal: roundToTwoDecimals(cumulativeEquity)
+    });
+  }
+
+  return schedule;
+}
+
 /**
  * Islamic financing calculation (Musharakah Mutanaqisah - diminishing partnership)
  * @param {number} principal - Property value
@@ -468,36 +2459,163 @@ function calculateIslamicMurabahah(principal, profitRate, tenureYears) {
  * @returns {object} MM financing details
  */
 function calculateIslamicMM(principal, customerContribution, rentalRate, tenureYears) {
-  // Simplified MM calculation
   // Bank's share = Principal - Customer Contribution
   const bankShare = principal - customerContribution;
   const totalMonths = tenureYears * 12;
-  const monthlyRate = rentalRate / 100 / 12;
-
-  // Monthly payment similar to conventional for practical purposes
-  // But consists of: Rental (for bank's share) + Equity acquisition
-  const monthlyPayment = bankShare *
-    (monthlyRate * Math.pow(1 + monthlyRate, totalMonths)) /
-    (Math.pow(1 + monthlyRate, totalMonths) - 1);
 
-  const totalPayment = monthlyPayment * totalMonths;
+  // Each payment consists of: Rental (for bank's share) + Equity acquisition
+  const schedule = generateMMSchedule(principal, customerContribution, rentalRate, tenureYears);
+  const totalPayment = schedule.reduce((sum, row) => sum + row.payment, 0);
   const totalRental = totalPayment - bankShare;
 
   return {
     type: 'Musharakah Mutanaqisah',
     propertyValue: roundToTwoDecimals(principal),
     customerInitialShare: roundToTwoDecimals(customerContribution),
+    customerInitialOwnership: roundToTwoDecimals((customerContribution / principal) * 100),
     bankShare: roundToTwoDecimals(bankShare),
     rentalRate: rentalRate,
-    monthlyPayment: roundToTwoDecimals(monthlyPayment),
+    monthlyPayment: schedule[0].payment,
     totalPayment: roundToTwoDecimals(totalPayment),
     totalRental: roundToTwoDecimals(totalRental),
     tenureYears,
     totalMonths,
+    schedule,
     note: 'Customer gradually acquires bank\'s share. Rebate possible for early settlement.'
   };
 }
 
+/**
+ * Generate Ijarah (lease-to-own) rental schedule
+ * Rentals recover the bank's cost plus profit, leaving the transfer price payable
+ * at the end. Rental is re-priced at every review date.
+ * @param {number} financingAmount - Bank's acquisition cost
+ * @param {number} rentalRate - Initial annual rental rate
+ * @param {number} tenureYears - Lease tenure in years
+ * @param {number} transferPrice - Price paid at the end to take ownership
+ * @param {number} reviewIntervalYears - Years between rental reviews (0 = no review)
+ * @param {number} reviewRateChange - Rental rate change at each review (percentage points)
+ * @returns {array} Monthly breakdown
+ */
+function generateIjarahSchedule(financingAmount, rentalRate, tenureYears, transferPrice = 1, reviewIntervalYears = 0, reviewRateChange = 0) {
+  const totalMonths = tenureYears * 12;
+  const reviewMonths = reviewIntervalYears * 12;
+
+  // Rental needed to recover cost down to the transfer price over the remaining months
+  const rentalFor = (unrecoveredCost, annualRate, remainingMonths) => {
+    const monthlyRate = annualRate / 100 / 12;
+    const residualPV = transferPrice / Math.pow(1 + monthlyRate, remainingMonths);
+    return calculateMonthlyPayment(unrecoveredCost - residualPV, annualRate, remainingMonths / 12).monthlyPayment;
+  };
+
+  const schedule = [];
+  let annualRate = rentalRate;
+  let unrecoveredCost = financingAmount;
+  let rental = rentalFor(unrecoveredCost, annualRate, totalMonths);
+  let cumulativeProfit = 0;
+  let cumulativeCost = 0;
+
+  for (let month = 1; month <= totalMonths; month++) {
+    let rentalReviewed = false;
+
+    if (reviewMonths > 0 && month > 1 && (month - 1) % reviewMonths === 0 && reviewRateChange !== 0) {
+      annualRate = Math.max(0, annualRate + reviewRateChange);
+      rental = rentalFor(unrecoveredCost, annualRate, totalMonths - month + 1);
+      rentalReviewed = true;
+    }
+
+    const profit = unrecoveredCost * (annualRate / 100 / 12);
+    let payment = rental;
+    let costRecovered = payment - profit;
+
+    // Last rental leaves exactly the transfer price outstanding
+    if (month === totalMonths) {
+      costRecovered = unrecoveredCost - transferPrice;
+      payment = costRecovered + profit;
+    }
+
+    unrecoveredCost = Math.max(0, unrecoveredCost - costRecovered);
+    cumulativeProfit += profit;
+    cumulativeCost += costRecovered;
+
+    schedule.push({
+      month,
+      year: Math.ceil(month / 12),
+      rate: roundToTwoDecimals(annualRate),
+      rateChanged: rentalReviewed,
+      payment: roundToTwoDecimals(payment),
+      principal: roundToTwoDecimals(costRecovered),
+      interest: roundToTwoDecimals(profit),
+      balance: roundToTwoDecimals(unrecoveredCost),
+      cumulativeInterest: roundToTwoDecimals(cumulativeProfit),
+      cumulativePrincipal: roundToTwoDecimals(cumulativeCost)
+    });
+  }
+
+  return schedule;
+}
+
+/**
+ * Islamic financing calculation (Ijarah - lease with transfer of ownership)
+ * @param {number} financingAmount - Bank's acquisition cost
+ * @param {number} rentalRate - Initial annual rental rate
+ * @param {number} tenureYears - Lease tenure in years
+ * @param {number} transferPrice - Price paid at the end to take ownership
+ * @param {number} reviewIntervalYears - Years between rental reviews (0 = no review)
+ * @param {number} reviewRateChange - Rental rate change at each review (percentage points)
+ * @returns {object} Ijarah financing details
+ */
+function calculateIslamicIjarah(financingAmount, rentalRate, tenureYears, transferPrice = ISLAMIC_PRODUCTS.ijarah.transferPrice, reviewIntervalYears = 0, reviewRateChange = 0) {
+  const schedule = generateIjarahSchedule(financingAmount, rentalRate, tenureYears, transferPrice, reviewIntervalYears, reviewRateChange);
+  const totalRental = schedule.reduce((sum, row) => sum + row.payment, 0);
+  const totalPayment = totalRental + transferPrice;
+  const rentalReviews = schedule
+    .filter(row => row.rateChanged)
+    .map(row => ({ month: row.month, rate: row.rate, payment: row.payment }));
+
+  return {
+    type: 'Ijarah (Lease-to-Own)',
+    financingAmount: roundToTwoDecimals(financingAmount),
+    rentalRate,
+    monthlyPayment: schedule[0].payment,
+    finalRental: schedule[schedule.length - 1].payment,
+    rentalReviews,
+    transferPrice: roundToTwoDecimals(transferPrice),
+    totalRental: roundToTwoDecimals(totalRental),
+    totalProfit: roundToTwoDecimals(totalPayment - financingAmount),
+    totalPayment: roundToTwoDecimals(totalPayment),
+    tenureYears,
+    totalMonths: tenureYears * 12,
+    schedule,
+    note: `Rentals are reviewed${reviewIntervalYears > 0 ? ` every ${reviewIntervalYears} years` : ' only by agreement'}. Ownership transfers on payment of the ${formatCurrency(transferPrice)} purchase price at the end of the lease.`
+  };
+}
+
+/**
+ * Compare total cost of the three Islamic structures for the same financing
+ * @param {number} financingAmount - Financing amount
+ * @param {number} rate - Effective profit / rental rate
+ * @param {number} tenureYears - Tenure in years
+ * @param {object} options - { ceilingRate, transferPrice, reviewIntervalYears, reviewRateChange }
+ * @returns {array} One entry per structure
+ */
+function compareIslamicStructures(financingAmount, rate, tenureYears, options = {}) {
+  const murabahah = calculateIslamicMurabahah(financingAmount, rate, tenureYears, options.ceilingRate);
+  // MM: customer contributes 10% so the bank's share equals the financing amount
+  const propertyValue = financingAmount / 0.9;
+  const mm = calculateIslamicMM(propertyValue, propertyValue - financingAmount, rate, tenureYears);
+  const ijarah = calculateIslamicIjarah(
+    financingAmount, rate, tenureYears,
+    options.transferPrice, options.reviewIntervalYears, options.reviewRateChange
+  );
+
+  return [
+    { key: 'murabahah', type: murabahah.type, monthlyPayment: murabahah.monthlyPayment, totalProfit: murabahah.totalProfit, totalCost: murabahah.totalPayment },
+    { key: 'mm', type: mm.type, monthlyPayment: mm.monthlyPayment, totalProfit: mm.totalRental, totalCost: mm.totalPayment },
+    { key: 'ijarah', type: ijarah.type, monthlyPayment: ijarah.monthlyPayment, totalProfit: ijarah.totalProfit, totalCost: ijarah.totalPayment }
+  ];
+}
+
 // Utility functions
 function roundToTwoDecimals(num) {
   return Math.round(num * 100) / 100;
@@ -516,15 +2634,54 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     calculateMonthlyPayment,
     generateAmortizationSchedule,
+    getDueDate,
+    addDueDates,
+    calculateDailyRestLoan,
+    generateVariableRateSchedule,
+    calculateTieredRateLoan,
+    calculateProgressiveDisbursement,
+    calculateEffectiveAverageRate,
     calculateExtraPaymentImpact,
+    getPrepaymentForMonth,
+    calculatePrepaymentPlan,
+    calculateFlexiLoan,
+    calculatePaymentDisruption,
+    calculateRemainingTenure,
     compareRefinancing,
+    compareBanks,
+    solveLoanTerms,
+    getMaxMarginOfFinance,
+    checkMarginOfFinance,
+    calculatePropertyBudget,
     calculateAffordability,
+    calculateIncomeTax,
+    calculateNetIncome,
+    getDSRLimit,
+    calculateMonthlyCommitments,
+    assessBorrower,
+    calculateDSR,
+    calculateDSRAffordability,
+    calculateMaxTenure,
+    validateTenure,
+    validateJointTenure,
     calculateStampDutyMOT,
     calculateStampDutyLoan,
     calculateLegalFees,
     calculateTotalUpfrontCosts,
+    calculateRentalCashFlow,
+    calculateRentVsBuy,
+    getInsuranceRate,
+    calculateMortgageInsurance,
+    buildCashToCloseItems,
+    calculateCashToClose,
+    generateMurabahahSchedule,
     calculateIslamicMurabahah,
+    calculateIbraSettlement,
+    generateMMSchedule,
     calculateIslamicMM,
+    generateIjarahSchedule,
+    calculateIslamicIjarah,
+    compareIslamicStructures,
     roundToTwoDecimals,
     formatNumber,
     formatCurrency
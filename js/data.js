@@ -1,32 +1,61 @@
 // Malaysian Mortgage Calculator - Data & Constants
 // All rates and data specific to Malaysia
 
+// `rate` is the headline (thereafter) rate. `tiers` is the promotional package:
+// each tier applies for `years`, the last tier (no `years`) applies thereafter.
+// `lockInYears` is the period during which early settlement attracts a penalty.
 const MALAYSIAN_BANKS = {
   conventional: [
-    { name: 'Maybank', rate: 4.10, type: 'conventional', minLoan: 100000, maxTenure: 35 },
-    { name: 'CIMB Bank', rate: 4.15, type: 'conventional', minLoan: 100000, maxTenure: 35 },
-    { name: 'Public Bank', rate: 4.05, type: 'conventional', minLoan: 100000, maxTenure: 35 },
-    { name: 'RHB Bank', rate: 4.20, type: 'conventional', minLoan: 100000, maxTenure: 35 },
-    { name: 'Hong Leong Bank', rate: 4.18, type: 'conventional', minLoan: 100000, maxTenure: 35 },
-    { name: 'AmBank', rate: 4.25, type: 'conventional', minLoan: 100000, maxTenure: 35 },
-    { name: 'OCBC Bank', rate: 4.12, type: 'conventional', minLoan: 100000, maxTenure: 35 },
-    { name: 'UOB Bank', rate: 4.22, type: 'conventional', minLoan: 100000, maxTenure: 35 },
-    { name: 'Alliance Bank', rate: 4.28, type: 'conventional', minLoan: 100000, maxTenure: 35 },
-    { name: 'Bank Rakyat', rate: 4.30, type: 'conventional', minLoan: 50000, maxTenure: 35 },
+    { name: 'Maybank', rate: 4.10, type: 'conventional', minLoan: 100000, maxTenure: 35, lockInYears: 3,
+      tiers: [{ years: 2, rate: 3.85 }, { rate: 4.10 }] },
+    { name: 'CIMB Bank', rate: 4.15, type: 'conventional', minLoan: 100000, maxTenure: 35, lockInYears: 3,
+      tiers: [{ years: 1, rate: 3.80 }, { years: 1, rate: 3.95 }, { rate: 4.15 }] },
+    { name: 'Public Bank', rate: 4.05, type: 'conventional', minLoan: 100000, maxTenure: 35, lockInYears: 3,
+      tiers: [{ years: 3, rate: 3.90 }, { rate: 4.05 }] },
+    { name: 'RHB Bank', rate: 4.20, type: 'conventional', minLoan: 100000, maxTenure: 35, lockInYears: 3,
+      tiers: [{ years: 2, rate: 3.95 }, { rate: 4.20 }] },
+    { name: 'Hong Leong Bank', rate: 4.18, type: 'conventional', minLoan: 100000, maxTenure: 35, lockInYears: 3,
+      tiers: [{ years: 1, rate: 3.88 }, { years: 1, rate: 4.00 }, { rate: 4.18 }] },
+    { name: 'AmBank', rate: 4.25, type: 'conventional', minLoan: 100000, maxTenure: 35, lockInYears: 3,
+      tiers: [{ years: 2, rate: 4.00 }, { rate: 4.25 }] },
+    { name: 'OCBC Bank', rate: 4.12, type: 'conventional', minLoan: 100000, maxTenure: 35, lockInYears: 3,
+      tiers: [{ years: 2, rate: 3.92 }, { rate: 4.12 }] },
+    { name: 'UOB Bank', rate: 4.22, type: 'conventional', minLoan: 100000, maxTenure: 35, lockInYears: 3,
+      tiers: [{ years: 3, rate: 4.02 }, { rate: 4.22 }] },
+    { name: 'Alliance Bank', rate: 4.28, type: 'conventional', minLoan: 100000, maxTenure: 35, lockInYears: 3,
+      tiers: [{ years: 1, rate: 3.98 }, { years: 1, rate: 4.10 }, { rate: 4.28 }] },
+    { name: 'Bank Rakyat', rate: 4.30, type: 'conventional', minLoan: 50000, maxTenure: 35, lockInYears: 5,
+      tiers: [{ rate: 4.30 }] },
   ],
   islamic: [
-    { name: 'Maybank Islamic', rate: 4.15, type: 'islamic', product: 'Home Financing-i', minLoan: 100000, maxTenure: 35 },
-    { name: 'CIMB Islamic', rate: 4.20, type: 'islamic', product: 'Home Financing-i', minLoan: 100000, maxTenure: 35 },
-    { name: 'Public Islamic Bank', rate: 4.10, type: 'islamic', product: 'Musharakah Mutanaqisah', minLoan: 100000, maxTenure: 35 },
-    { name: 'RHB Islamic', rate: 4.25, type: 'islamic', product: 'Musharakah Mutanaqisah', minLoan: 100000, maxTenure: 35 },
-    { name: 'Hong Leong Islamic', rate: 4.22, type: 'islamic', product: 'Home Financing-i', minLoan: 100000, maxTenure: 35 },
-    { name: 'Bank Islam', rate: 4.18, type: 'islamic', product: 'Baiti Home Financing-i', minLoan: 100000, maxTenure: 35 },
-    { name: 'Bank Muamalat', rate: 4.35, type: 'islamic', product: 'Home Financing-i', minLoan: 50000, maxTenure: 35 },
-    { name: 'Affin Islamic', rate: 4.28, type: 'islamic', product: 'Home Financing-i', minLoan: 100000, maxTenure: 35 },
-    { name: 'MBSB Bank', rate: 4.40, type: 'islamic', product: 'Home Financing-i', minLoan: 50000, maxTenure: 35 },
+    { name: 'Maybank Islamic', rate: 4.15, type: 'islamic', product: 'Home Financing-i', minLoan: 100000, maxTenure: 35, lockInYears: 3,
+      tiers: [{ years: 2, rate: 3.90 }, { rate: 4.15 }] },
+    { name: 'CIMB Islamic', rate: 4.20, type: 'islamic', product: 'Home Financing-i', minLoan: 100000, maxTenure: 35, lockInYears: 3,
+      tiers: [{ years: 1, rate: 3.85 }, { years: 1, rate: 4.00 }, { rate: 4.20 }] },
+    { name: 'Public Islamic Bank', rate: 4.10, type: 'islamic', product: 'Musharakah Mutanaqisah', minLoan: 100000, maxTenure: 35, lockInYears: 3,
+      tiers: [{ years: 3, rate: 3.95 }, { rate: 4.10 }] },
+    { name: 'RHB Islamic', rate: 4.25, type: 'islamic', product: 'Musharakah Mutanaqisah', minLoan: 100000, maxTenure: 35, lockInYears: 3,
+      tiers: [{ years: 2, rate: 4.00 }, { rate: 4.25 }] },
+    { name: 'Hong Leong Islamic', rate: 4.22, type: 'islamic', product: 'Home Financing-i', minLoan: 100000, maxTenure: 35, lockInYears: 3,
+      tiers: [{ years: 2, rate: 3.97 }, { rate: 4.22 }] },
+    { name: 'Bank Islam', rate: 4.18, type: 'islamic', product: 'Baiti Home Financing-i', minLoan: 100000, maxTenure: 35, lockInYears: 3,
+      tiers: [{ years: 2, rate: 3.98 }, { rate: 4.18 }] },
+    { name: 'Bank Muamalat', rate: 4.35, type: 'islamic', product: 'Home Financing-i', minLoan: 50000, maxTenure: 35, lockInYears: 5,
+      tiers: [{ rate: 4.35 }] },
+    { name: 'Affin Islamic', rate: 4.28, type: 'islamic', product: 'Home Financing-i', minLoan: 100000, maxTenure: 35, lockInYears: 3,
+      tiers: [{ years: 1, rate: 4.00 }, { years: 1, rate: 4.10 }, { rate: 4.28 }] },
+    { name: 'MBSB Bank', rate: 4.40, type: 'islamic', product: 'Home Financing-i', minLoan: 50000, maxTenure: 35, lockInYears: 5,
+      tiers: [{ rate: 4.40 }] },
   ]
 };
 
+// Reference rate for floating-rate loans
+// Standardised Base Rate (SBR) is pegged to BNM's Overnight Policy Rate
+const REFERENCE_RATES = {
+  sbr: 2.75,
+  opr: 2.75
+};
+
 // Stamp Duty Rates for Property Purchase (MOT - Memorandum of Transfer)
 const STAMP_DUTY_MOT = {
   standard: [
@@ -74,19 +103,211 @@ const LEGAL_FEES = {
   }
 };
 
+// Cash-to-close planner: payment stages and default amounts
+// `dayOffset` is the typical number of days after booking each stage falls due
+const CASH_TO_CLOSE = {
+  stages: [
+    { key: 'booking', label: 'Booking', dayOffset: 0 },
+    { key: 'spa', label: 'SPA Signing', dayOffset: 14 },
+    { key: 'loanAgreement', label: 'Loan Agreement Signing', dayOffset: 30 },
+    { key: 'completion', label: 'Completion', dayOffset: 120 },
+    { key: 'handover', label: 'Key Handover', dayOffset: 150 }
+  ],
+  bookingFeeRate: 0.02,        // Earnest deposit, part of the SPA deposit
+  spaDepositRate: 0.10,        // SPA deposit including the booking fee
+  fireInsuranceRate: 0.001,    // Annual fire insurance/takaful on the property price
+  agentFeeRate: 0.01,          // Buyer's agent fee, where one is engaged
+  handoverCharges: 1500        // Utility deposits and advance maintenance charges
+};
+
 // BNM DSR Guidelines
+// DSR is measured against net income (gross less EPF, SOCSO, EIS and PCB)
 const DSR_CONFIG = {
   defaultLimit: 0.60,        // 60% default
   maxLimit: 0.70,            // 70% for high income
   highIncomeThreshold: 10000 // Monthly income threshold for higher DSR
 };
 
+// Employee statutory deductions from monthly salary
+const STATUTORY_DEDUCTIONS = {
+  epf: {
+    rate: 0.11               // Employee EPF (KWSP) contribution
+  },
+  socso: {
+    rate: 0.005,             // Employee SOCSO (PERKESO) share, Category 1
+    wageCeiling: 6000        // Contributions capped at this monthly wage
+  },
+  eis: {
+    rate: 0.002,             // Employment Insurance System
+    wageCeiling: 6000
+  }
+};
+
+// Resident individual income tax, used to estimate monthly PCB (MTD)
+const INCOME_TAX = {
+  bands: [
+    { min: 0, max: 5000, rate: 0 },
+    { min: 5000, max: 20000, rate: 0.01 },
+    { min: 20000, max: 35000, rate: 0.03 },
+    { min: 35000, max: 50000, rate: 0.06 },
+    { min: 50000, max: 70000, rate: 0.11 },
+    { min: 70000, max: 100000, rate: 0.19 },
+    { min: 100000, max: 400000, rate: 0.25 },
+    { min: 400000, max: 600000, rate: 0.26 },
+    { min: 600000, max: 2000000, rate: 0.28 },
+    { min: 2000000, max: Infinity, rate: 0.30 }
+  ],
+  reliefs: {
+    individual: 9000,        // Automatic personal relief
+    epfMax: 4000,            // EPF contributions (life insurance/EPF relief)
+    socsoMax: 350            // SOCSO + EIS contributions
+  },
+  rebate: {
+    maxChargeableIncome: 35000, // Rebate applies at or below this chargeable income
+    amount: 400
+  }
+};
+
+// How banks recognise each borrower's income for DSR
+// `recognition` is the share of gross income counted (commission is haircut for volatility),
+// `statutory` whether EPF/SOCSO/EIS are deducted, `maturity` the MAX_AGE_AT_MATURITY key
+const INCOME_TYPES = {
+  employed: { label: 'Salaried', recognition: 1.0, statutory: true, maturity: 'employed' },
+  commission: { label: 'Commission', recognition: 0.6, statutory: true, maturity: 'employed' },
+  selfEmployed: { label: 'Self-employed', recognition: 1.0, statutory: false, maturity: 'selfEmployed' }
+};
+
+// Monthly commitments counted by banks in the DSR
+// `basis: 'limit'` commitments are counted at `rate` of the credit limit
+const COMMITMENT_TYPES = {
+  carLoan: { label: 'Car Loan', basis: 'instalment' },
+  ptptn: { label: 'PTPTN', basis: 'instalment' },
+  personalLoan: { label: 'Personal Loan', basis: 'instalment' },
+  creditCard: { label: 'Credit Cards', basis: 'limit', rate: 0.05 },
+  other: { label: 'Other Commitments', basis: 'instalment' }
+};
+
+// BNM loan-to-value limits for residential property purchased by individuals
+const MARGIN_OF_FINANCE = {
+  standard: 90,           // Typical maximum margin of finance (%)
+  restricted: 70,         // Maximum from the restricted loan onwards (%)
+  restrictedFromLoan: 3   // Third and subsequent housing loans are restricted
+};
+
+// Mortgage insurance (single premium), estimated rates per RM1,000 sum assured
+// MRTA cover reduces with the loan; MLTA is level cover and priced off the MRTA table
+const MORTGAGE_INSURANCE = {
+  types: {
+    mrta: { label: 'MRTA (Reducing Term)', multiplier: 1.0 },
+    mlta: { label: 'MLTA (Level Term)', multiplier: 1.8 }
+  },
+  tenureBands: [10, 20, 30, 35],     // Cover term up to N years
+  ageBands: [
+    { maxAge: 30, rates: [4, 9, 16, 21] },
+    { maxAge: 35, rates: [5, 12, 22, 29] },
+    { maxAge: 40, rates: [8, 18, 32, 42] },
+    { maxAge: 45, rates: [12, 27, 47, 60] },
+    { maxAge: 50, rates: [19, 40, 68, 85] },
+    { maxAge: 55, rates: [29, 58, 95, 118] },
+    { maxAge: 60, rates: [43, 82, 130, 160] },
+    { maxAge: 65, rates: [62, 112, 170, 205] }
+  ],
+  // Larger sums assured get a discount on the table rate
+  sumAssuredDiscounts: [
+    { minSumAssured: 1000000, discount: 0.10 },
+    { minSumAssured: 500000, discount: 0.05 }
+  ],
+  jointLifeDiscount: 0.10,  // Joint cover pays on first death: sum of lives less this discount
+  maxCoverAge: 70           // Cover must end by this age
+};
+
+// How a bank applies a partial prepayment
+const PREPAYMENT_MODES = {
+  reduceTenure: {
+    label: 'Reduce Tenure',
+    note: 'Instalment unchanged; the loan ends earlier'
+  },
+  reduceInstalment: {
+    label: 'Reduce Instalment',
+    note: 'Instalment recalculated over the remaining tenure after each prepayment'
+  },
+  flexiOffset: {
+    label: 'Flexi Offset',
+    note: 'Prepayments offset the balance for interest and can be redrawn'
+  }
+};
+
+// Flexi home loan facilities: money parked with the loan cuts interest and can be withdrawn later
+// `annualFee` for the facility (e.g. current account maintenance), `redrawFee` per withdrawal
+const FLEXI_LOAN_TYPES = {
+  full: {
+    label: 'Full Flexi',
+    note: 'Deposits sit in a linked current account that offsets the balance; withdraw any time',
+    annualFee: 120,
+    redrawFee: 0
+  },
+  semiFlexi: {
+    label: 'Semi-Flexi',
+    note: 'Advance payments go into the loan account; withdrawals need a redraw request',
+    annualFee: 0,
+    redrawFee: 50
+  }
+};
+
+// Instalments not paid on time
+// `chargeRate` % p.a. on the overdue amount (ta'widh for Islamic financing); the 2020
+// automatic moratorium deferred instalments for `moratoriumMonths`
+const LATE_PAYMENT = {
+  chargeRate: 1,
+  moratoriumMonths: 6
+};
+
+// Rent vs buy starting assumptions (% p.a. unless noted)
+// `maintenance` monthly maintenance fee and sinking fund; `quitRent` and `assessment` yearly RM
+const RENT_VS_BUY = {
+  rentGrowth: 3,
+  appreciationRate: 3,
+  investmentReturn: 5,
+  maintenance: 300,
+  quitRent: 60,
+  assessment: 500,
+  horizonYears: 30
+};
+
+// Buy-to-let assumptions (% unless noted)
+// Rental income is taxed as a non-business source: expenses and loan interest reduce it,
+// but a rental loss cannot be set against other income or carried forward
+const INVESTMENT_PROPERTY = {
+  vacancyRate: 8.3,       // about one month a year
+  managementFeeRate: 5,   // of rent collected
+  otherCosts: 1200        // RM/year: quit rent, assessment, fire insurance, repairs
+};
+
+// Progress billing for under-construction strata property (Schedule H, Housing Development Regulations)
+// `percent` of the purchase price billed at each stage, `month` the typical months after SPA signing
+const SCHEDULE_H = {
+  stages: [
+    { key: 'deposit', label: 'SPA Deposit', percent: 10, month: 0 },
+    { key: 'foundation', label: 'Foundation Works', percent: 10, month: 4 },
+    { key: 'framework', label: 'Structural Framework', percent: 15, month: 10 },
+    { key: 'walls', label: 'Walls, Doors & Window Frames', percent: 10, month: 16 },
+    { key: 'ceiling', label: 'Ceiling, Wiring & Plumbing', percent: 10, month: 20 },
+    { key: 'finishes', label: 'Internal & External Finishes', percent: 10, month: 26 },
+    { key: 'sewerage', label: 'Sewerage', percent: 5, month: 29 },
+    { key: 'drains', label: 'Drains', percent: 5, month: 31 },
+    { key: 'roads', label: 'Roads', percent: 5, month: 33 },
+    { key: 'vacantPossession', label: 'Vacant Possession', percent: 17.5, month: 36 },
+    { key: 'commonFacilities', label: 'Common Facilities', percent: 2.5, month: 36 }
+  ]
+};
+
 // Islamic Financing Products Info
 const ISLAMIC_PRODUCTS = {
   murabahah: {
     name: 'Murabahah (BBA)',
     description: 'Bank buys property and sells to customer at marked-up price',
-    notes: 'Cost-plus financing. Fixed selling price determined upfront.'
+    notes: 'Cost-plus financing. Fixed selling price determined upfront.',
+    ceilingRate: 10.00 // Typical contracted ceiling profit rate (% p.a.)
   },
   musharakahMutanaqisah: {
     name: 'Musharakah Mutanaqisah (MM)',
@@ -96,7 +317,9 @@ const ISLAMIC_PRODUCTS = {
   ijarah: {
     name: 'Ijarah (Lease)',
     description: 'Bank leases property to customer with option to purchase',
-    notes: 'Lease-to-own structure. Rental payments with transfer at end.'
+    notes: 'Lease-to-own structure. Rental payments with transfer at end.',
+    transferPrice: 1,        // Nominal purchase price at end of lease (RM)
+    reviewIntervalYears: 5   // Typical rental review cycle
   }
 };
 
@@ -113,10 +336,24 @@ const MAX_AGE_AT_MATURITY = {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     MALAYSIAN_BANKS,
+    REFERENCE_RATES,
     STAMP_DUTY_MOT,
     STAMP_DUTY_LOAN,
     LEGAL_FEES,
+    CASH_TO_CLOSE,
     DSR_CONFIG,
+    STATUTORY_DEDUCTIONS,
+    INCOME_TAX,
+    INCOME_TYPES,
+    COMMITMENT_TYPES,
+    MARGIN_OF_FINANCE,
+    MORTGAGE_INSURANCE,
+    PREPAYMENT_MODES,
+    FLEXI_LOAN_TYPES,
+    LATE_PAYMENT,
+    RENT_VS_BUY,
+    INVESTMENT_PROPERTY,
+    SCHEDULE_H,
     ISLAMIC_PRODUCTS,
     COMMON_TENURES,
     MAX_AGE_AT_MATURITY